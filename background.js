@@ -1,3 +1,21 @@
+import { loadAll, loadUsage, recordVisits, saveTree, saveSavedTabs, loadRecentFolders, pushRecentFolder, loadLiveWindows, saveLiveWindows, isTreeKey, SETTINGS_KEY, USAGE_KEY, RECENT_FOLDERS_KEY, WORKSPACES_KEY } from './storage/storage.js';
+import { searchForQuery } from './core/search.js';
+import { mergeSettings } from './core/settings.js';
+import { normalizeSession, pushAutoSession, sessionUrls } from './core/sessions.js';
+import { captureTabs, captureWindows } from './utils/tabs.js';
+import { uid, clone, findNode, insertLink, isSmartFolder, normalizeLink, normalizeTree } from './core/tree.js';
+import { setLanguage, t } from './utils/i18n.js';
+import { autoSortFolder } from './core/sort.js';
+
+const OMNIBOX_MAX_RESULTS = 8;
+const AUTO_ALARM = 'autoSnapshot';
+const AUTO_TITLES = { closed: 'autoClosed', scheduled: 'autoScheduled', startup: 'autoStartup' };
+const MENU_KINDS = [
+    { kind: 'page',      contexts: ['page'],      title: 'ctxSavePage' },
+    { kind: 'link',      contexts: ['link'],      title: 'ctxSaveLink' },
+    { kind: 'selection', contexts: ['selection'], title: 'ctxSaveSelection' }
+];
+
 chrome.commands.onCommand.addListener(async (command) => {
     if (command !== 'open-search-popup') return;
 
@@ -27,4 +45,304 @@ chrome.commands.onCommand.addListener(async (command) => {
             await chrome.action.openPopup();
         } catch {}
     }
-});
\ No newline at end of file
+});
+
+let _omniboxData = null;
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    const treeChanged = WORKSPACES_KEY in changes || Object.keys(changes).some(isTreeKey);
+    if (treeChanged || SETTINGS_KEY in changes || USAGE_KEY in changes) _omniboxData = null;
+    if (treeChanged || SETTINGS_KEY in changes || RECENT_FOLDERS_KEY in changes) _scheduleMenus();
+    if (SETTINGS_KEY in changes) { _autoSettings = null; _syncAuto(); }
+});
+
+async function _loadOmniboxData() {
+    if (!_omniboxData) {
+        const [{ tree, settings }, usage] = await Promise.all([loadAll(), loadUsage()]);
+        _omniboxData = { tree, settings, usage };
+        setLanguage(settings.language || 'ru');
+    }
+    return _omniboxData;
+}
+
+function _escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function _markup(text, ranges) {
+    let out = '';
+    let pos = 0;
+    for (const [start, end] of ranges || []) {
+        if (start < pos || start >= text.length) continue;
+        out += _escapeXml(text.slice(pos, start)) + '<match>' + _escapeXml(text.slice(start, end)) + '</match>';
+        pos = Math.min(end, text.length);
+    }
+    return out + _escapeXml(text.slice(pos));
+}
+
+function _describe({ link, breadcrumb, highlight }) {
+    const title = link.title
+        ? _markup(link.title, highlight?.title)
+        : _markup(link.url || '', highlight?.url);
+    const crumb = breadcrumb.length ? ` <dim>${_escapeXml(breadcrumb.join(' › '))}</dim>` : '';
+    return `${title}${crumb} <url>${_markup(link.url || '', highlight?.url)}</url>`;
+}
+
+async function _omniboxResults(text) {
+    const { tree, settings, usage } = await _loadOmniboxData();
+    return searchForQuery(tree, text.trim(), settings, usage).filter(r => r.link.url);
+}
+
+async function _openFromOmnibox(url, disposition, record = true) {
+    if (record) { try { await recordVisits([url]); } catch {} }
+    if (disposition === 'newForegroundTab') {
+        chrome.tabs.create({ url, active: true });
+    } else if (disposition === 'newBackgroundTab') {
+        chrome.tabs.create({ url, active: false });
+    } else {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (tab) chrome.tabs.update(tab.id, { url }); else chrome.tabs.create({ url });
+    }
+}
+
+chrome.omnibox.onInputStarted.addListener(async () => {
+    await _loadOmniboxData();
+    chrome.omnibox.setDefaultSuggestion({ description: _escapeXml(t('omniboxDefault')) + ' <match>%s</match>' });
+});
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+    const results = text.trim() ? await _omniboxResults(text) : [];
+    const seen = new Set();
+    const suggestions = [];
+    for (const r of results) {
+        if (seen.has(r.link.url)) continue;
+        seen.add(r.link.url);
+        suggestions.push({ content: r.link.url, description: _describe(r), deletable: false });
+        if (suggestions.length >= OMNIBOX_MAX_RESULTS) break;
+    }
+    chrome.omnibox.setDefaultSuggestion({
+        description: _escapeXml(t(suggestions.length || !text.trim() ? 'omniboxDefault' : 'omniboxNoResults')) + ' <match>%s</match>'
+    });
+    suggest(suggestions);
+});
+
+chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+    const input = text.trim();
+    if (!input) return;
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(input)) { _openFromOmnibox(input, disposition); return; }
+    const [top] = await _omniboxResults(input);
+    if (top) { _openFromOmnibox(top.link.url, disposition); return; }
+    const url = chrome.runtime.getURL('search.html') + '?q=' + encodeURIComponent(input);
+    _openFromOmnibox(url, disposition, false);
+});
+
+let _menuTimer = null;
+let _menuBuild = Promise.resolve();
+
+function _scheduleMenus() {
+    clearTimeout(_menuTimer);
+    _menuTimer = setTimeout(() => { _menuBuild = _menuBuild.then(_buildMenus, _buildMenus); }, 300);
+}
+
+function _createMenu(props) {
+    chrome.contextMenus.create(props, () => void chrome.runtime.lastError);
+}
+
+async function _buildMenus() {
+    const [{ tree, settings }, recentIds] = await Promise.all([loadAll(), loadRecentFolders()]);
+    setLanguage(settings.language || 'ru');
+    const folders = tree.filter(n => n && !n.__isRoot && !isSmartFolder(n));
+    const recent  = recentIds.map(id => findNode(tree, id)).filter(n => n && !n.__isRoot && !isSmartFolder(n));
+
+    await chrome.contextMenus.removeAll();
+    for (const { kind, contexts, title } of MENU_KINDS) {
+        _createMenu({ id: kind, title: t(title), contexts });
+        _createMenu({ id: `${kind}:folder:`, parentId: kind, title: t('rootLinks'), contexts });
+        for (const f of folders) {
+            _createMenu({ id: `${kind}:folder:${f.id}`, parentId: kind, title: f.title || t('untitled'), contexts });
+        }
+        if (recent.length) {
+            _createMenu({ id: `${kind}:sep`, parentId: kind, type: 'separator', contexts });
+            _createMenu({ id: `${kind}:recent`, parentId: kind, title: t('ctxRecent'), enabled: false, contexts });
+            for (const f of recent) {
+                _createMenu({ id: `${kind}:recent:${f.id}`, parentId: kind, title: f.title || t('untitled'), contexts });
+            }
+        }
+    }
+}
+
+chrome.runtime.onInstalled.addListener(() => { _scheduleMenus(); _syncAuto(); });
+chrome.runtime.onStartup.addListener(() => { _scheduleMenus(); _recoverLastSession(); });
+
+function _linkFromClick(kind, info, tab) {
+    const pageTitle = tab?.title || info.pageUrl || '';
+    if (kind === 'link') {
+        return { title: info.selectionText || info.linkUrl, url: info.linkUrl, description: '' };
+    }
+    if (kind === 'selection') {
+        return { title: pageTitle, url: info.pageUrl, description: (info.selectionText || '').trim() };
+    }
+    return { title: pageTitle, url: info.pageUrl, description: '' };
+}
+
+function _flashBadge(tabId) {
+    chrome.action.setBadgeText({ tabId, text: '✓' });
+    setTimeout(() => chrome.action.setBadgeText({ tabId, text: '' }), 2000);
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    const [kind, section, ...rest] = String(info.menuItemId).split(':');
+    const folderId = rest.join(':');
+    if (section !== 'folder' && section !== 'recent') return;
+    const data = _linkFromClick(kind, info, tab);
+    if (!data.url) return;
+
+    const { tree, settings } = await loadAll();
+    const updated = clone(tree);
+    insertLink(updated, normalizeLink({ ...data, id: uid(), added: Date.now() }), { folderId });
+    autoSortFolder(updated, folderId, await loadUsage(), settings.language);
+    try {
+        await saveTree(normalizeTree(updated));
+    } catch (err) {
+        console.warn('[background] context menu save failed:', err);
+        return;
+    }
+    if (folderId) await pushRecentFolder(folderId);
+    if (tab?.id !== undefined) _flashBadge(tab.id);
+});
+
+let _autoSettings = null;
+let _liveQueue    = Promise.resolve();
+let _trackTimer   = null;
+let _lastScheduled = null;
+
+async function _getAutoSettings() {
+    if (!_autoSettings) {
+        const data = await chrome.storage.local.get(SETTINGS_KEY);
+        _autoSettings = mergeSettings(data[SETTINGS_KEY]);
+    }
+    return _autoSettings;
+}
+
+function _autoEnabled(settings) {
+    return settings.autoSnapshots && settings.saveTabs;
+}
+
+function _withLive(fn) {
+    _liveQueue = _liveQueue.then(fn, fn).catch(err => console.warn('[auto] snapshot failed:', err));
+    return _liveQueue;
+}
+
+async function _syncAuto() {
+    const settings = await _getAutoSettings();
+    if (!_autoEnabled(settings)) {
+        await chrome.alarms.clear(AUTO_ALARM);
+        await _withLive(async () => {
+            if (Object.keys(await loadLiveWindows()).length) await saveLiveWindows({});
+        });
+        return;
+    }
+    const alarm = await chrome.alarms.get(AUTO_ALARM);
+    if (alarm?.periodInMinutes !== settings.autoSnapshotInterval) {
+        await chrome.alarms.create(AUTO_ALARM, { periodInMinutes: settings.autoSnapshotInterval });
+    }
+    _scheduleTrack();
+}
+
+function _scheduleTrack() {
+    clearTimeout(_trackTimer);
+    _trackTimer = setTimeout(() => _withLive(_trackWindows), 1000);
+}
+
+async function _trackWindows() {
+    if (!_autoEnabled(await _getAutoSettings())) return;
+    const [live, current] = await Promise.all([loadLiveWindows(), captureWindows()]);
+    await saveLiveWindows({ ...live, ...current });
+}
+
+async function _saveAutoSession(reason, capture) {
+    if (!capture?.tabs?.length) return;
+    const { settings, savedTabs } = await loadAll();
+    setLanguage(settings.language || 'ru');
+    const session = normalizeSession({
+        id:    uid(),
+        title: t(AUTO_TITLES[reason]),
+        date:  new Date().toLocaleString(),
+        auto:  reason,
+        tabs:  capture.tabs,
+        groups: capture.groups
+    });
+    await saveSavedTabs(pushAutoSession(savedTabs, session, settings.autoSnapshotKeep));
+}
+
+function _joinWindows(captures) {
+    const tabs   = [];
+    const groups = [];
+    captures.filter(c => c?.tabs?.length).forEach((capture, index) => {
+        const offset = groups.length;
+        groups.push(...(capture.groups || []));
+        for (const tab of capture.tabs) {
+            const item = { ...tab };
+            if (item.group !== undefined) item.group += offset;
+            if (index > 0) item.window = index; else delete item.window;
+            tabs.push(item);
+        }
+    });
+    return { tabs, groups };
+}
+
+function _recoverLastSession() {
+    return _withLive(async () => {
+        const settings = await _getAutoSettings();
+        const live = await loadLiveWindows();
+        await saveLiveWindows({});
+        if (!_autoEnabled(settings)) return;
+        await _saveAutoSession('startup', _joinWindows(Object.values(live)));
+    }).then(_syncAuto);
+}
+
+function _onTabsChanged() {
+    _getAutoSettings().then(settings => { if (_autoEnabled(settings)) _scheduleTrack(); });
+}
+
+chrome.tabs.onUpdated.addListener((tabId, change) => {
+    if ('url' in change || 'pinned' in change || 'groupId' in change || change.status === 'complete') _onTabsChanged();
+});
+chrome.tabs.onCreated.addListener(_onTabsChanged);
+chrome.tabs.onMoved.addListener(_onTabsChanged);
+chrome.tabs.onAttached.addListener(_onTabsChanged);
+chrome.tabs.onDetached.addListener(_onTabsChanged);
+chrome.tabs.onRemoved.addListener((tabId, info) => { if (!info.isWindowClosing) _onTabsChanged(); });
+chrome.tabGroups?.onUpdated.addListener(_onTabsChanged);
+
+chrome.windows.onRemoved.addListener((windowId) => {
+    _withLive(async () => {
+        const live = await loadLiveWindows();
+        const capture = live[windowId];
+        if (!capture) return;
+        delete live[windowId];
+        await saveLiveWindows(live);
+        if (_autoEnabled(await _getAutoSettings())) await _saveAutoSession('closed', capture);
+    });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name !== AUTO_ALARM) return;
+    _withLive(async () => {
+        if (!_autoEnabled(await _getAutoSettings())) return;
+        const capture = await captureTabs({ allWindows: true });
+        const urls = sessionUrls(capture);
+        if (urls === _lastScheduled) return;
+        const { savedTabs } = await loadAll();
+        const previous = savedTabs.find(s => s.auto === 'scheduled');
+        _lastScheduled = urls;
+        if (previous && sessionUrls(previous) === urls) return;
+        await _saveAutoSession('scheduled', capture);
+    });
+});
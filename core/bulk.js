@@ -0,0 +1,84 @@
+import { clone, safeArray, isSmartFolder, findParentAndIndex, findLinkLocation, ensureRootFolder, moveItem, normalizeTags } from './tree.js';
+import { smartFolderLinks } from './smart.js';
+
+export function selectionRoots(tree, selected) {
+    const roots = [];
+    function walkLinks(links) {
+        for (const link of safeArray(links)) {
+            if (!link) continue;
+            if (selected.has(link.id)) roots.push({ type: 'link', node: link });
+            else walkLinks(link.children);
+        }
+    }
+    (function walkNodes(nodes) {
+        for (const node of safeArray(nodes)) {
+            if (!node) continue;
+            if (selected.has(node.id)) { roots.push({ type: 'folder', node }); continue; }
+            walkLinks(node.links);
+            walkNodes(node.children);
+        }
+    })(tree);
+    return roots;
+}
+
+export function selectionLinks(tree, selected) {
+    const seen = new Set();
+    const result = [];
+    function add(link) {
+        if (!link || seen.has(link.id)) return;
+        seen.add(link.id);
+        result.push(link);
+        for (const child of safeArray(link.children)) add(child);
+    }
+    function addNode(node) {
+        if (isSmartFolder(node)) { smartFolderLinks(tree, node).forEach(add); return; }
+        safeArray(node.links).forEach(add);
+        safeArray(node.children).forEach(addNode);
+    }
+    for (const { type, node } of selectionRoots(tree, selected)) {
+        if (type === 'link') add(node); else addNode(node);
+    }
+    return result;
+}
+
+export function selectionTree(tree, selected) {
+    const result = [];
+    for (const { type, node } of selectionRoots(tree, selected)) {
+        if (type === 'folder') result.push(clone(node));
+        else ensureRootFolder(result).links.push(clone(node));
+    }
+    return result;
+}
+
+export function removeItems(tree, selected) {
+    let count = 0;
+    for (const { type, node } of selectionRoots(tree, selected)) {
+        const loc = type === 'folder' ? findParentAndIndex(tree, node.id) : findLinkLocation(tree, node.id);
+        if (!loc) continue;
+        (loc.parentArray || loc.list).splice(loc.index, 1);
+        count++;
+    }
+    return count;
+}
+
+export function moveItemsTo(tree, selected, folderId) {
+    const target = folderId ? { type: 'folder', id: folderId } : { type: 'root' };
+    let count = 0;
+    for (const { type, node } of selectionRoots(tree, selected)) {
+        if (moveItem(tree, { type, id: node.id }, target, 'inside')) count++;
+    }
+    return count;
+}
+
+export function tagItems(tree, selected, tags) {
+    const add = normalizeTags(tags);
+    if (!add.length) return 0;
+    const links = selectionLinks(tree, new Set([...selected].filter(id => !_isSmart(tree, id))));
+    for (const link of links) link.tags = normalizeTags([...safeArray(link.tags), ...add]);
+    return links.length;
+}
+
+function _isSmart(tree, id) {
+    const loc = findParentAndIndex(tree, id);
+    return !!loc && isSmartFolder(loc.parentArray[loc.index]);
+}
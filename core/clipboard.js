@@ -0,0 +1,68 @@
+import { uid, clone, safeArray, findNode, findLinkDeep, moveItem, insertItem } from './tree.js';
+
+export function cloneWithNewIds(item) {
+    const copy = clone(item);
+    (function refresh(node) {
+        node.id = uid();
+        delete node.pinned;
+        delete node.pinOrder;
+        safeArray(node.children).forEach(refresh);
+        safeArray(node.links).forEach(refresh);
+    })(copy);
+    return copy;
+}
+
+function _ownerFolder(tree, target) {
+    function inLinks(links) {
+        return safeArray(links).some(l => l && (l.id === target.id || inLinks(l.children)));
+    }
+    function walk(nodes, parent) {
+        for (const node of safeArray(nodes)) {
+            if (!node) continue;
+            if (target.type === 'folder' && node.id === target.id) return { folder: parent };
+            if (target.type === 'link' && inLinks(node.links)) return { folder: node };
+            const found = walk(node.children, node);
+            if (found) return found;
+        }
+        return null;
+    }
+    return walk(tree, null);
+}
+
+function _pasteTarget(tree, type, target, position) {
+    if (position === 'inside') return type === 'folder' && target.type === 'link' ? null : { target, position };
+    if (type === target.type) return { target, position };
+    const owner = _ownerFolder(tree, target);
+    if (!owner) return null;
+    if (!owner.folder || owner.folder.__isRoot) return { target: { type: 'root' }, position: 'inside' };
+    return { target: { type: 'folder', id: owner.folder.id }, position: 'inside' };
+}
+
+export function pasteClipboard(tree, clipboard, target, position) {
+    if (!clipboard?.items.length) return 0;
+    const planned = clipboard.items
+        .map(entry => ({ entry, dest: _pasteTarget(tree, entry.type, target, position) }))
+        .filter(p => p.dest);
+    const ordered = [
+        ...planned.filter(p => p.dest.position !== 'after'),
+        ...planned.filter(p => p.dest.position === 'after').reverse()
+    ];
+    let count = 0;
+    for (const { entry, dest } of ordered) {
+        const ok = clipboard.mode === 'cut'
+            ? moveItem(tree, { type: entry.type, id: entry.id }, dest.target, dest.position)
+            : insertItem(tree, entry.type, cloneWithNewIds(entry.node), dest.target, dest.position);
+        if (ok) count++;
+    }
+    return count;
+}
+
+export function clipboardEntries(tree, items, mode) {
+    return items
+        .map(({ type, id }) => {
+            const node = type === 'folder' ? findNode(tree, id) : findLinkDeep(tree, id);
+            if (!node) return null;
+            return { type, id, title: node.title || node.url || '', node: mode === 'copy' ? clone(node) : null };
+        })
+        .filter(Boolean);
+}
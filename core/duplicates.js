@@ -0,0 +1,51 @@
+import { normalizeUrl } from '../utils/url.js';
+import { safeArray, normalizeTags, walkLinks, findLinkLocation } from './tree.js';
+
+export function findSavedUrl(tree, url) {
+    const key = normalizeUrl(url);
+    if (!key) return null;
+    let found = null;
+    walkLinks(tree, (link, path) => {
+        if (!found && normalizeUrl(link.url) === key) found = { link, path };
+    });
+    return found;
+}
+
+export function findDuplicates(tree) {
+    const byUrl = new Map();
+    walkLinks(tree, (link, path) => {
+        const key = normalizeUrl(link.url);
+        if (!key) return;
+        if (!byUrl.has(key)) byUrl.set(key, []);
+        byUrl.get(key).push({ link, path });
+    });
+    return [...byUrl].filter(([, entries]) => entries.length > 1).map(([key, entries]) => ({ key, entries }));
+}
+
+export function dedupeLinks(tree, ids, keepId, { mergeDescriptions = false } = {}) {
+    const keep = findLinkLocation(tree, keepId);
+    if (!keep) return false;
+    const kept = keep.list[keep.index];
+    const removed = [];
+    for (const id of ids) {
+        if (id === keepId) continue;
+        const loc = findLinkLocation(tree, id);
+        if (!loc) continue;
+        const [link] = loc.list.splice(loc.index, 1, ...safeArray(loc.list[loc.index].children));
+        removed.push(link);
+    }
+    if (mergeDescriptions) {
+        const descriptions = [];
+        for (const link of [kept, ...removed]) {
+            const text = (link.description || '').trim();
+            if (text && !descriptions.includes(text)) descriptions.push(text);
+        }
+        kept.description = descriptions.join('\n');
+        const tags = normalizeTags([kept, ...removed].flatMap(link => safeArray(link.tags)));
+        if (tags.length) kept.tags = tags;
+        const added = [kept, ...removed].map(link => link.added).filter(Boolean);
+        if (added.length) kept.added = Math.min(...added);
+        if (!kept.title) kept.title = removed.find(link => link.title)?.title || '';
+    }
+    return removed.length > 0;
+}
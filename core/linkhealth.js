@@ -0,0 +1,78 @@
+import { uid, safeArray, walkLinks, findLinkLocation } from './tree.js';
+import { isCheckableUrl } from '../utils/linkcheck.js';
+
+export const HEALTH_KINDS = ['broken', 'redirect', 'timeout', 'error', 'ok'];
+
+export function normalizeLinkHealth(raw) {
+    const result = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return result;
+    for (const [url, entry] of Object.entries(raw)) {
+        if (!url || !entry || !(Number(entry.checked) > 0)) continue;
+        const item = { checked: Number(entry.checked) };
+        if (Number.isInteger(entry.status)) item.status = entry.status;
+        if (typeof entry.redirect === 'string' && entry.redirect) item.redirect = entry.redirect;
+        if (entry.error === 'timeout' || entry.error === 'network') item.error = entry.error;
+        if (item.status === undefined && !item.error) continue;
+        result[url] = item;
+    }
+    return result;
+}
+
+export function classifyHealth(entry) {
+    if (!entry) return null;
+    if (entry.error === 'timeout') return 'timeout';
+    if (entry.error) return 'error';
+    if (entry.status >= 400) return 'broken';
+    if (entry.redirect) return 'redirect';
+    return 'ok';
+}
+
+export function collectCheckableLinks(tree) {
+    const result = [];
+    walkLinks(tree, (link, path) => {
+        if (isCheckableUrl(link.url)) result.push({ link, path });
+    });
+    return result;
+}
+
+export function healthReport(tree, health) {
+    return collectCheckableLinks(tree)
+        .map(({ link, path }) => ({ link, path, entry: health[link.url] || null, kind: classifyHealth(health[link.url]) }))
+        .filter(item => item.kind);
+}
+
+function _takeLinks(tree, ids) {
+    const taken = [];
+    for (const id of ids) {
+        const loc = findLinkLocation(tree, id);
+        if (loc) taken.push(...loc.list.splice(loc.index, 1));
+    }
+    return taken;
+}
+
+export function applyRedirects(tree, ids, health) {
+    let count = 0;
+    for (const id of ids) {
+        const loc = findLinkLocation(tree, id);
+        const link = loc?.list[loc.index];
+        const target = link ? health[link.url]?.redirect : null;
+        if (target) { link.url = target; count++; }
+    }
+    return count;
+}
+
+export function archiveLinks(tree, ids, title) {
+    const links = _takeLinks(tree, ids);
+    if (!links.length) return 0;
+    let archive = tree.find(n => n && !n.__isRoot && n.title === title);
+    if (!archive) {
+        archive = { id: uid(), type: 'folder', title, children: [], links: [] };
+        tree.push(archive);
+    }
+    archive.links = [...safeArray(archive.links), ...links];
+    return links.length;
+}
+
+export function removeLinks(tree, ids) {
+    return _takeLinks(tree, ids).length;
+}
@@ -0,0 +1,59 @@
+import { safeArray } from './tree.js';
+
+function _walkPinnable(tree, visit) {
+    function walkLinks(links) {
+        for (const link of safeArray(links)) {
+            if (!link) continue;
+            visit(link, 'link');
+            walkLinks(link.children);
+        }
+    }
+    (function walkNodes(nodes) {
+        for (const node of safeArray(nodes)) {
+            if (!node) continue;
+            if (!node.__isRoot) visit(node, 'folder');
+            walkLinks(node.links);
+            walkNodes(node.children);
+        }
+    })(tree);
+}
+
+export function collectPinned(tree) {
+    const items = [];
+    _walkPinnable(tree, (node, type) => {
+        if (node.pinned) items.push({ type, node });
+    });
+    return items
+        .map((item, i) => ({ item, i }))
+        .sort((a, b) => (a.item.node.pinOrder ?? Infinity) - (b.item.node.pinOrder ?? Infinity) || a.i - b.i)
+        .map(({ item }) => item);
+}
+
+export function setPinned(tree, id, pinned) {
+    let target = null;
+    let maxOrder = -1;
+    _walkPinnable(tree, (node) => {
+        if (node.id === id) target = node;
+        if (node.pinned && Number.isFinite(node.pinOrder)) maxOrder = Math.max(maxOrder, node.pinOrder);
+    });
+    if (!target) return false;
+    if (pinned) {
+        if (!target.pinned) {
+            target.pinned = true;
+            target.pinOrder = maxOrder + 1;
+        }
+    } else {
+        delete target.pinned;
+        delete target.pinOrder;
+    }
+    return true;
+}
+
+export function reorderPinned(tree, ids) {
+    const order = new Map(ids.map((id, i) => [id, i]));
+    const rest = collectPinned(tree).filter(({ node }) => !order.has(node.id));
+    _walkPinnable(tree, (node) => {
+        if (node.pinned && order.has(node.id)) node.pinOrder = order.get(node.id);
+    });
+    rest.forEach(({ node }, i) => { node.pinOrder = ids.length + i; });
+}
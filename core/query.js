@@ -0,0 +1,212 @@
+const FIELDS = new Set(['site', 'folder', 'title', 'url', 'desc', 'tag']);
+
+function _tokenize(input) {
+    const tokens = [];
+    const re = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let m;
+    while ((m = re.exec(input))) {
+        const [raw, neg, field, phrase, word] = m;
+        tokens.push({ raw, neg: !!neg, field: field?.toLowerCase() ?? null, value: phrase ?? word ?? '', quoted: phrase !== undefined });
+    }
+    return tokens;
+}
+
+function _toTerm(token) {
+    let { neg, field, value } = token;
+    if (field && !FIELDS.has(field)) {
+        value = `${field}:${value}`;
+        field = null;
+    }
+    value = value.toLowerCase().trim();
+    if (!field && !token.quoted && (value === '-' || FIELDS.has(value.slice(0, -1)) && value.endsWith(':'))) return null;
+    if (!field && !token.quoted && value.length > 1 && value.startsWith('#')) {
+        field = 'tag';
+        value = value.slice(1);
+    }
+    if (field === 'tag') value = value.replace(/^#+/, '');
+    if (field === 'site') value = value.replace(/^www\./, '');
+    if (!value) return null;
+    return { field: field || 'any', value, neg };
+}
+
+export function parseQuery(input) {
+    const groups = [[]];
+    for (const token of _tokenize(String(input || ''))) {
+        if (!token.neg && !token.field && !token.quoted && (token.value.toUpperCase() === 'OR' || token.value === '|')) {
+            if (groups[groups.length - 1].length) groups.push([]);
+            continue;
+        }
+        const term = _toTerm(token);
+        if (term) groups[groups.length - 1].push(term);
+    }
+    return { groups: groups.filter(g => g.length) };
+}
+
+export function isEmptyQuery(query) {
+    return !query || !query.groups.length;
+}
+
+function _host(url) {
+    try { return new URL(url).hostname.toLowerCase().replace(/^www\./, ''); }
+    catch { return ''; }
+}
+
+function _termMatches(term, link, folders) {
+    const v = term.value;
+    switch (term.field) {
+        case 'site': {
+            const host = _host(link.url || '');
+            return host === v || host.endsWith('.' + v) || host.startsWith(v + '.') || host.includes('.' + v + '.');
+        }
+        case 'folder': return folders.some(f => (f || '').toLowerCase().includes(v));
+        case 'title':  return (link.title || '').toLowerCase().includes(v);
+        case 'url':    return (link.url || '').toLowerCase().includes(v);
+        case 'desc':   return (link.description || '').toLowerCase().includes(v);
+        case 'tag':    return (link.tags || []).some(t => t.startsWith(v));
+        default: {
+            const text = (link.title || '') + ' ' + (link.url || '') + ' ' + (link.description || '') + ' ' + (link.tags || []).join(' ');
+            return text.toLowerCase().includes(v);
+        }
+    }
+}
+
+export function matchLink(link, query, folders = []) {
+    if (!link) return false;
+    if (isEmptyQuery(query)) return true;
+    return query.groups.some(group => group.every(term => _termMatches(term, link, folders) !== term.neg));
+}
+
+export function matchFolderTitle(title, query) {
+    if (isEmptyQuery(query)) return false;
+    const text = (title || '').toLowerCase();
+    return query.groups.some(group =>
+        group.some(term => !term.neg) &&
+        group.every(term => (term.field === 'any' || term.field === 'folder') && text.includes(term.value) !== term.neg)
+    );
+}
+
+const FIELD_WEIGHTS = { title: 3, tags: 2, url: 2, desc: 1, folder: 1 };
+
+function _editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows[i] = [i];
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) { rows[i][j] = j; continue; }
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+function _isBoundary(text, i) {
+    return i === 0 || !/[\p{L}\p{N}]/u.test(text[i - 1]);
+}
+
+function _fuzzyField(text, v) {
+    if (!text) return null;
+    const idx = text.indexOf(v);
+    if (idx >= 0) {
+        let score = 100 - Math.min(idx, 20) * 0.5;
+        if (idx === 0) score += 40;
+        else if (_isBoundary(text, idx)) score += 25;
+        if (v.length === text.length) score += 30;
+        return { score, ranges: [[idx, idx + v.length]] };
+    }
+    if (v.length < 3) return null;
+
+    const maxDist = v.length >= 8 ? 2 : 1;
+    let best = null;
+    for (const m of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+        const word = m[0];
+        const head = word.slice(0, v.length);
+        const dist = Math.min(_editDistance(v, head, maxDist), _editDistance(v, word, maxDist));
+        if (dist > maxDist) continue;
+        const score = 60 - dist * 15 + (m.index === 0 ? 10 : 0);
+        if (!best || score > best.score) best = { score, ranges: [[m.index, m.index + Math.min(word.length, v.length + dist)]] };
+    }
+    if (best) return best;
+
+    const ranges = [];
+    let pos = text.indexOf(v[0]);
+    if (pos < 0) return null;
+    const start = pos;
+    for (const ch of v) {
+        pos = text.indexOf(ch, pos);
+        if (pos < 0) return null;
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === pos) last[1]++; else ranges.push([pos, pos + 1]);
+        pos++;
+    }
+    if (pos - start > v.length * 3) return null;
+    return { score: 40 - (ranges.length - 1) * 5 - (pos - start - v.length), ranges };
+}
+
+function _mergeRanges(ranges) {
+    const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+    const out = [];
+    for (const r of sorted) {
+        const last = out[out.length - 1];
+        if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+        else out.push([r[0], r[1]]);
+    }
+    return out;
+}
+
+function _scoreGroup(group, link, fields) {
+    let score = 0;
+    const highlight = { title: [], url: [] };
+    for (const term of group) {
+        if (term.neg || term.field !== 'any') {
+            if (_termMatches(term, link, fields.folders) === term.neg) return null;
+            if (term.neg) continue;
+            score += 50;
+            if (term.field === 'title' || term.field === 'url') {
+                const idx = fields[term.field].indexOf(term.value);
+                if (idx >= 0) highlight[term.field].push([idx, idx + term.value.length]);
+            }
+            continue;
+        }
+        let termScore = 0;
+        for (const name of Object.keys(FIELD_WEIGHTS)) {
+            const m = _fuzzyField(fields[name], term.value);
+            if (!m) continue;
+            termScore = Math.max(termScore, m.score * FIELD_WEIGHTS[name]);
+            if (name in highlight) highlight[name].push(...m.ranges);
+        }
+        if (!termScore) return null;
+        score += termScore;
+    }
+    return { score, highlight };
+}
+
+export function rankLink(link, query, folders = []) {
+    if (!link) return null;
+    if (isEmptyQuery(query)) return { score: 0, highlight: { title: [], url: [] } };
+    const fields = {
+        title:   (link.title || '').toLowerCase(),
+        url:     (link.url || '').toLowerCase(),
+        desc:    (link.description || '').toLowerCase(),
+        tags:    (link.tags || []).join(' '),
+        folder:  folders.join(' / ').toLowerCase(),
+        folders
+    };
+    let best = null;
+    for (const group of query.groups) {
+        const r = _scoreGroup(group, link, fields);
+        if (r && (!best || r.score > best.score)) best = r;
+    }
+    if (!best) return null;
+    best.highlight.title = _mergeRanges(best.highlight.title);
+    best.highlight.url   = _mergeRanges(best.highlight.url);
+    return best;
+}
+
+export function sortByScore(results) {
+    return results.slice().sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,58 @@
+import { safeArray } from './tree.js';
+import { parseQuery, rankLink, sortByScore } from './query.js';
+import { frecencyBoost } from './usage.js';
+import { layoutVariants } from '../utils/layout.js';
+
+export function isDeepQuery(query) {
+    return query.startsWith('..') || query.startsWith('\\\\') || query.startsWith('//');
+}
+
+export function searchLinks(tree, query, { deep = true, usage = {} } = {}) {
+    const results = [];
+    const parsed  = parseQuery(query);
+
+    function collectLinks(links, breadcrumb, folders) {
+        for (const link of safeArray(links)) {
+            if (!link) continue;
+            const rank = rankLink(link, parsed, folders);
+            if (rank) {
+                const score = rank.score + frecencyBoost(usage, link.url);
+                results.push({ link, breadcrumb: breadcrumb.slice(), score, highlight: rank.highlight });
+            }
+            if (deep && Array.isArray(link.children) && link.children.length > 0) {
+                collectLinks(link.children, [...breadcrumb, link.title || link.url || ''], folders);
+            }
+        }
+    }
+
+    function walkNodes(nodes, path) {
+        for (const node of safeArray(nodes)) {
+            if (!node) continue;
+            const nodePath = node.__isRoot ? path : [...path, node.title || ''];
+            collectLinks(safeArray(node.links), nodePath, nodePath);
+            walkNodes(safeArray(node.children), nodePath);
+        }
+    }
+
+    walkNodes(tree, []);
+    return sortByScore(results);
+}
+
+export function searchLinksWithLayout(tree, query, options) {
+    if (!query || !query.trim()) return searchLinks(tree, '', options);
+    let best = [];
+    for (const v of layoutVariants(query.trim())) {
+        const r = searchLinks(tree, v, options);
+        if (r.length && (!best.length || r[0].score > best[0].score)) best = r;
+    }
+    return best;
+}
+
+export function searchForQuery(tree, query, settings = {}, usage = {}) {
+    const deep    = isDeepQuery(query) && settings.nestedLinksSearch !== false;
+    const text    = deep ? query.slice(2) : query;
+    const options = { deep, usage };
+    return settings.layoutCorrection !== false
+        ? searchLinksWithLayout(tree, text, options)
+        : searchLinks(tree, text, options);
+}
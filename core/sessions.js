@@ -0,0 +1,166 @@
+import { uid, safeArray } from './tree.js';
+
+export const AUTO_SNAPSHOT_REASONS = ['closed', 'scheduled', 'startup'];
+
+export const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+function _normalizeGroup(g) {
+    return {
+        title:     typeof g?.title === 'string' ? g.title : '',
+        color:     GROUP_COLORS.includes(g?.color) ? g.color : 'grey',
+        collapsed: !!g?.collapsed
+    };
+}
+
+function _normalizeTab(tab, groupCount) {
+    const result = {
+        ...tab,
+        id:    typeof tab.id    === 'string' && tab.id ? tab.id : uid(),
+        title: typeof tab.title === 'string' ? tab.title : '',
+        url:   typeof tab.url   === 'string' ? tab.url   : ''
+    };
+    delete result.pinned;
+    delete result.group;
+    delete result.window;
+    if (tab.pinned === true) result.pinned = true;
+    if (Number.isInteger(tab.group) && tab.group >= 0 && tab.group < groupCount && !result.pinned) result.group = tab.group;
+    if (Number.isInteger(tab.window) && tab.window > 0) result.window = tab.window;
+    return result;
+}
+
+export function normalizeSession(s) {
+    if (!s || typeof s !== 'object') return null;
+    const groups = safeArray(s.groups).map(_normalizeGroup);
+    const result = {
+        ...s,
+        id:    typeof s.id    === 'string' && s.id ? s.id : uid(),
+        title: typeof s.title === 'string' ? s.title : '',
+        date:  typeof s.date  === 'string' ? s.date  : '',
+        tabs:  safeArray(s.tabs).filter(tab => tab && typeof tab === 'object').map(tab => _normalizeTab(tab, groups.length))
+    };
+    if (groups.length) result.groups = groups; else delete result.groups;
+    if (!AUTO_SNAPSHOT_REASONS.includes(s.auto)) delete result.auto;
+    return result;
+}
+
+export function sessionUrls(session) {
+    return safeArray(session?.tabs).map(tab => tab.url).join('\n');
+}
+
+export function pushAutoSession(sessions, session, keep) {
+    let autos = 0;
+    return [session, ...safeArray(sessions)].filter(s => !s.auto || ++autos <= keep);
+}
+
+export function sessionWindowCount(session) {
+    return safeArray(session?.tabs).reduce((max, tab) => Math.max(max, (tab.window || 0) + 1), 0);
+}
+
+export function normalizeSessions(list) {
+    return safeArray(list).map(normalizeSession).filter(Boolean);
+}
+
+function _sessionSignature(s) {
+    return [s.title || '', s.date || '', ...safeArray(s.tabs).map(tab => tab?.url || '')].join('\n');
+}
+
+export function mergeSessions(existing, incoming) {
+    const seen = new Set(safeArray(existing).map(_sessionSignature));
+    const added = [];
+    let duplicates = 0;
+    for (const s of safeArray(incoming)) {
+        if (!s) continue;
+        const sig = _sessionSignature(s);
+        if (seen.has(sig)) { duplicates++; continue; }
+        seen.add(sig);
+        added.push(s);
+    }
+    return { sessions: [...added, ...safeArray(existing)], added: added.length, duplicates };
+}
+
+export function renameSession(session, title) {
+    const { auto, ...rest } = session;
+    return { ...rest, title };
+}
+
+export function removeSessionTab(session, tabId) {
+    return { ...session, tabs: safeArray(session.tabs).filter(tab => tab.id !== tabId) };
+}
+
+export function moveSessionTab(session, tabId, delta) {
+    const tabs = safeArray(session.tabs).slice();
+    const from = tabs.findIndex(tab => tab.id === tabId);
+    const to   = from + delta;
+    if (from < 0 || to < 0 || to >= tabs.length) return session;
+    [tabs[from], tabs[to]] = [tabs[to], tabs[from]];
+    return { ...session, tabs };
+}
+
+export function combineSessions(target, source) {
+    const offset = safeArray(target.groups).length;
+    const groups = [...safeArray(target.groups), ...safeArray(source.groups)];
+    const tabs = [
+        ...safeArray(target.tabs),
+        ...safeArray(source.tabs).map(tab => ({ ...tab, group: tab.group !== undefined ? tab.group + offset : undefined }))
+    ];
+    return normalizeSession({ ...target, groups, tabs });
+}
+
+function _tabToLink(tab) {
+    return { id: uid(), title: tab.title || tab.url, url: tab.url, description: '', added: Date.now() };
+}
+
+export function sessionToFolder(session, { split = 'none', windowTitle = (n) => `Window ${n}`, groupTitle = 'Group' } = {}) {
+    const folder = { id: uid(), type: 'folder', title: session.title || session.date || '', children: [], links: [] };
+    const tabs   = safeArray(session.tabs).filter(tab => tab?.url);
+    const groups = safeArray(session.groups);
+    const byKey  = new Map();
+    for (const tab of tabs) {
+        const key = split === 'window' ? tab.window || 0 : split === 'group' ? tab.group : undefined;
+        if (key === undefined) { folder.links.push(_tabToLink(tab)); continue; }
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(tab);
+    }
+    if (split === 'window' && byKey.size === 1) {
+        folder.links = tabs.map(_tabToLink);
+        return folder;
+    }
+    for (const [key, keyTabs] of byKey) {
+        folder.children.push({
+            id:       uid(),
+            type:     'folder',
+            title:    split === 'window' ? windowTitle(key + 1) : groups[key]?.title || groupTitle,
+            children: [],
+            links:    keyTabs.map(_tabToLink)
+        });
+    }
+    return folder;
+}
+
+function _collectTabs(links, out) {
+    for (const link of safeArray(links)) {
+        if (!link) continue;
+        if (link.url) out.push({ id: uid(), title: link.title || link.url, url: link.url });
+        _collectTabs(link.children, out);
+    }
+    return out;
+}
+
+function _collectFolderTabs(folder, out) {
+    _collectTabs(folder.links, out);
+    for (const child of safeArray(folder.children)) _collectFolderTabs(child, out);
+    return out;
+}
+
+export function folderToSession(folder, date = new Date().toLocaleString()) {
+    const tabs   = _collectTabs(folder.links, []);
+    const groups = [];
+    for (const child of safeArray(folder.children)) {
+        const childTabs = _collectFolderTabs(child, []);
+        if (!childTabs.length) continue;
+        const group = groups.length;
+        groups.push({ title: child.title || '', color: GROUP_COLORS[(group + 1) % GROUP_COLORS.length], collapsed: false });
+        tabs.push(...childTabs.map(tab => ({ ...tab, group })));
+    }
+    return normalizeSession({ id: uid(), title: folder.title || '', date, groups, tabs });
+}
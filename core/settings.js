@@ -1,4 +1,5 @@
 export const THEMES = ['light', 'dark', 'soft-dark', 'blue', 'green', 'rose'];
+export const AUTO_SNAPSHOT_INTERVALS = [5, 15, 30, 60];
 
 export const DEFAULT_SETTINGS = {
     theme:              'light',
@@ -12,7 +13,10 @@ export const DEFAULT_SETTINGS = {
     layoutCorrection:   false,
     nestedLinksEnabled: false,
     nestedLinksSearch:  false,
-    altQMode:           'popup'
+    altQMode:           'popup',
+    autoSnapshots:      false,
+    autoSnapshotInterval: 15,
+    autoSnapshotKeep:   10
 };
 
 export function mergeSettings(saved) {
@@ -30,7 +34,10 @@ export function mergeSettings(saved) {
         layoutCorrection:   typeof s.layoutCorrection === 'boolean' ? s.layoutCorrection : DEFAULT_SETTINGS.layoutCorrection,
         nestedLinksEnabled: typeof s.nestedLinksEnabled === 'boolean' ? s.nestedLinksEnabled : DEFAULT_SETTINGS.nestedLinksEnabled,
         nestedLinksSearch:  typeof s.nestedLinksSearch  === 'boolean' ? s.nestedLinksSearch  : DEFAULT_SETTINGS.nestedLinksSearch,
-        altQMode:           ['popup','window'].includes(s.altQMode) ? s.altQMode : DEFAULT_SETTINGS.altQMode
+        altQMode:           ['popup','window'].includes(s.altQMode) ? s.altQMode : DEFAULT_SETTINGS.altQMode,
+        autoSnapshots:      typeof s.autoSnapshots    === 'boolean' ? s.autoSnapshots    : DEFAULT_SETTINGS.autoSnapshots,
+        autoSnapshotInterval: AUTO_SNAPSHOT_INTERVALS.includes(s.autoSnapshotInterval) ? s.autoSnapshotInterval : DEFAULT_SETTINGS.autoSnapshotInterval,
+        autoSnapshotKeep:   (Number.isInteger(s.autoSnapshotKeep) && s.autoSnapshotKeep >= 1 && s.autoSnapshotKeep <= 50) ? s.autoSnapshotKeep : DEFAULT_SETTINGS.autoSnapshotKeep
     };
 }
 
@@ -0,0 +1,30 @@
+import { uid, clone, safeArray, isSmartFolder } from './tree.js';
+import { searchLinks } from './search.js';
+
+export function smartFolderLinks(tree, node, usage = {}) {
+    if (!isSmartFolder(node) || !node.query.trim()) return [];
+    const seen = new Set();
+    return searchLinks(tree, node.query, { deep: true, usage })
+        .map(r => r.link)
+        .filter(link => (link.url || link.title) && !seen.has(link.id) && seen.add(link.id));
+}
+
+export function materializeSmartFolders(tree) {
+    function convert(nodes) {
+        return safeArray(nodes).map(node => {
+            if (isSmartFolder(node)) {
+                // Nested matches come back on their own, so each copy is flat.
+                const links = smartFolderLinks(tree, node).map(link => {
+                    const { pinned, pinOrder, children, ...rest } = clone(link);
+                    return { ...rest, id: uid() };
+                });
+                const folder = { id: node.id, type: 'folder', title: node.title, children: [], links };
+                if (node.pinned) folder.pinned = true;
+                if (Number.isFinite(node.pinOrder)) folder.pinOrder = node.pinOrder;
+                return folder;
+            }
+            return node && Array.isArray(node.children) ? { ...node, children: convert(node.children) } : node;
+        });
+    }
+    return convert(tree);
+}
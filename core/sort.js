@@ -0,0 +1,87 @@
+import { safeArray, findNode, isSmartFolder } from './tree.js';
+import { usageFor, frecency } from './usage.js';
+
+const _collators = new Map();
+
+function _collator(locale) {
+    const tag = locale || '';
+    if (!_collators.has(tag)) _collators.set(tag, new Intl.Collator(locale || undefined, { sensitivity: 'base', numeric: true }));
+    return _collators.get(tag);
+}
+
+function _label(item) {
+    return (item.title || item.url || '').trim();
+}
+
+function _domain(url) {
+    try { return new URL(url).hostname.replace(/^www\./, ''); } catch { return ''; }
+}
+
+function _linkComparator(key, usage, now, locale) {
+    const collator = _collator(locale);
+    const byTitle  = (a, b) => collator.compare(_label(a), _label(b));
+    switch (key) {
+        case 'domain':
+            return (a, b) => {
+                const da = _domain(a.url), db = _domain(b.url);
+                if (!da !== !db) return da ? -1 : 1;
+                return collator.compare(da, db) || byTitle(a, b);
+            };
+        case 'added':
+            return (a, b) => (b.added || 0) - (a.added || 0) || byTitle(a, b);
+        case 'usage':
+            return (a, b) => frecency(usageFor(usage, b.url), now) - frecency(usageFor(usage, a.url), now) || byTitle(a, b);
+        default:
+            return byTitle;
+    }
+}
+
+function _sortLinks(links, compare, recursive) {
+    const list = safeArray(links).filter(Boolean).sort(compare);
+    if (recursive) {
+        for (const link of list) {
+            if (Array.isArray(link.children)) link.children = _sortLinks(link.children, compare, true);
+        }
+    }
+    return list;
+}
+
+function _sortFolders(nodes, locale) {
+    const collator = _collator(locale);
+    return safeArray(nodes).filter(Boolean).sort((a, b) => collator.compare(_label(a), _label(b)));
+}
+
+export function sortFolder(node, { key = 'title', recursive = false, foldersFirst = false, usage = {}, now = Date.now(), locale } = {}) {
+    if (!node || isSmartFolder(node)) return;
+    const compare = _linkComparator(key, usage, now, locale);
+    node.links    = _sortLinks(node.links, compare, recursive);
+    node.children = _sortFolders(node.children, locale);
+    if (foldersFirst) node.foldersFirst = true; else delete node.foldersFirst;
+    if (recursive) {
+        for (const child of node.children) sortFolder(child, { key, recursive, foldersFirst, usage, now, locale });
+    }
+}
+
+// Links and subfolders are kept in separate arrays, so the only orders a
+// level can show are "links first" (default) or "folders first". At the top
+// level the root node's links play the part of the folder's own links.
+export function sortTree(tree, { key = 'title', recursive = false, foldersFirst = false, usage = {}, now = Date.now(), locale } = {}) {
+    const root    = tree.filter(n => n?.__isRoot);
+    const folders = _sortFolders(tree.filter(n => n && !n.__isRoot), locale);
+    const compare = _linkComparator(key, usage, now, locale);
+    for (const r of root) {
+        r.links = _sortLinks(r.links, compare, recursive);
+        if (foldersFirst) r.foldersFirst = true; else delete r.foldersFirst;
+    }
+    if (recursive) {
+        for (const node of folders) sortFolder(node, { key, recursive, foldersFirst, usage, now, locale });
+    }
+    tree.splice(0, tree.length, ...(foldersFirst ? [...folders, ...root] : [...root, ...folders]));
+}
+
+export function autoSortFolder(tree, folderId, usage = {}, locale) {
+    const node = folderId ? findNode(tree, folderId) : null;
+    if (!node?.autoSort) return false;
+    node.links = _sortLinks(node.links, _linkComparator(node.autoSort, usage, Date.now(), locale), false);
+    return true;
+}
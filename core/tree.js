@@ -1,3 +1,6 @@
+import { normalizeUrl } from '../utils/url.js';
+import { parseQuery, matchLink, matchFolderTitle } from './query.js';
+
 export function uid() {
     return crypto?.randomUUID?.() ?? ('id-' + Date.now() + '-' + Math.random().toString(36).slice(2));
 }
@@ -10,6 +13,27 @@ export function clone(obj) {
     try { return JSON.parse(JSON.stringify(obj)); } catch { return obj; }
 }
 
+export function normalizeTags(tags) {
+    const result = [];
+    for (const raw of safeArray(tags)) {
+        if (typeof raw !== 'string') continue;
+        const tag = raw.trim().replace(/^#+/, '').toLowerCase();
+        if (tag && !result.includes(tag)) result.push(tag);
+    }
+    return result;
+}
+
+export function parseTags(text) {
+    return normalizeTags(String(text || '').split(/[\s,]+/));
+}
+
+function _normalizePin(src, result) {
+    if (src.pinned !== true) return result;
+    result.pinned = true;
+    if (Number.isFinite(src.pinOrder)) result.pinOrder = src.pinOrder;
+    return result;
+}
+
 export function normalizeLink(l) {
     if (!l) return null;
     const result = {
@@ -18,13 +42,32 @@ export function normalizeLink(l) {
         url:         typeof l.url         === 'string' ? l.url         : '',
         description: typeof l.description === 'string' ? l.description : ''
     };
+    if (typeof l.added === 'number' && l.added > 0) result.added = l.added;
+    const tags = normalizeTags(l.tags);
+    if (tags.length) result.tags = tags;
     if (Array.isArray(l.children)) {
         result.children = l.children.map(normalizeLink).filter(Boolean);
     }
-    return result;
+    return _normalizePin(l, result);
 }
 
+export function isSmartFolder(node) {
+    return node?.type === 'smart';
+}
+
+function _normalizeSmartFolder(node) {
+    return _normalizePin(node, {
+        id:    typeof node.id    === 'string' && node.id ? node.id : uid(),
+        type:  'smart',
+        title: typeof node.title === 'string' ? node.title : '',
+        query: typeof node.query === 'string' ? node.query : ''
+    });
+}
+
+export const SORT_KEYS = ['title', 'domain', 'added', 'usage'];
+
 export function normalizeNode(node) {
+    if (isSmartFolder(node)) return _normalizeSmartFolder(node);
     if (!node || node.type !== 'folder') return null;
     const result = {
         id:       typeof node.id    === 'string' && node.id    ? node.id    : uid(),
@@ -34,34 +77,51 @@ export function normalizeNode(node) {
         links:    safeArray(node.links).map(normalizeLink).filter(Boolean)
     };
     if (node.__isRoot) result.__isRoot = true;
-    return result;
+    if (SORT_KEYS.includes(node.autoSort)) result.autoSort = node.autoSort;
+    if (node.foldersFirst === true) result.foldersFirst = true;
+    return _normalizePin(node, result);
 }
 
 export function normalizeTree(data) {
     return safeArray(data).map(normalizeNode).filter(Boolean);
 }
 
+export function collectTags(tree) {
+    const counts = new Map();
+    function walkLinks(links) {
+        for (const l of safeArray(links)) {
+            if (!l) continue;
+            for (const tag of safeArray(l.tags)) counts.set(tag, (counts.get(tag) || 0) + 1);
+            walkLinks(l.children);
+        }
+    }
+    (function walk(nodes) {
+        for (const n of safeArray(nodes)) {
+            if (!n) continue;
+            walkLinks(n.links);
+            walk(n.children);
+        }
+    })(tree);
+    return [...counts].map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
 export function filterTree(list, query) {
     if (!query || !query.trim()) return safeArray(list);
-    const needle = query.toLowerCase().trim();
-
-    function linkMatches(l) {
-        if (!l) return false;
-        const text = (l.title || '') + ' ' + (l.url || '') + ' ' + (l.description || '');
-        return text.toLowerCase().includes(needle);
-    }
+    const parsed = parseQuery(query);
 
-    function filterNode(node) {
+    function filterNode(node, folders) {
         if (!node) return null;
 
         if (node.__isRoot) {
-            const links = safeArray(node.links).filter(linkMatches);
+            const links = safeArray(node.links).filter(l => matchLink(l, parsed, folders));
             return links.length ? { ...node, links, children: [] } : null;
         }
 
-        const titleMatch = (node.title || '').toLowerCase().includes(needle);
-        const matchedLinks = safeArray(node.links).filter(linkMatches);
-        const matchedChildren = safeArray(node.children).map(filterNode).filter(Boolean);
+        const path = [...folders, node.title || ''];
+        const titleMatch = matchFolderTitle(node.title, parsed);
+        const matchedLinks = safeArray(node.links).filter(l => matchLink(l, parsed, path));
+        const matchedChildren = safeArray(node.children).map(c => filterNode(c, path)).filter(Boolean);
 
         if (matchedLinks.length || matchedChildren.length) {
             return { ...node, links: matchedLinks, children: matchedChildren };
@@ -74,7 +134,7 @@ export function filterTree(list, query) {
         return null;
     }
 
-    return safeArray(list).map(filterNode).filter(Boolean);
+    return safeArray(list).map(n => filterNode(n, [])).filter(Boolean);
 }
 
 export function findParentAndIndex(list, id) {
@@ -125,10 +185,33 @@ export function moveLink(tree, id, dir) {
     swap(loc.parentNode.links, loc.index, ni); return true;
 }
 
+export function ensureRootFolder(tree) {
+    let root = tree.find(n => n?.__isRoot);
+    if (!root) {
+        root = { id: uid(), type: 'folder', title: '__ROOT__', __isRoot: true, children: [], links: [] };
+        tree.unshift(root);
+    }
+    root.links = safeArray(root.links);
+    return root;
+}
+
+export function insertLink(tree, link, { folderId, linkId } = {}) {
+    if (linkId) {
+        const parent = findLinkDeep(tree, linkId);
+        if (parent) { (parent.children = safeArray(parent.children)).push(link); return; }
+    }
+    if (folderId) {
+        const folder = findNode(tree, folderId);
+        if (folder && !isSmartFolder(folder)) { (folder.links = safeArray(folder.links)).push(link); return; }
+    }
+    ensureRootFolder(tree).links.push(link);
+}
+
 export function removeEmptyFolders(list) {
     if (!Array.isArray(list)) return [];
     return list.filter(n => {
         if (!n) return false;
+        if (isSmartFolder(n)) return true;
         n.children = removeEmptyFolders(n.children);
         return n.children.length > 0 || safeArray(n.links).length > 0;
     });
@@ -146,12 +229,13 @@ export function countLinks(node) {
     return count;
 }
 
-export function nodeMatchesQuery(node, query) {
+export function nodeMatchesQuery(node, query, folders = []) {
     if (!node) return false;
-    const q = query.toLowerCase();
-    if ((node.title || '').toLowerCase().includes(q)) return true;
-    if (safeArray(node.links).some(l => ((l?.title || '') + ' ' + (l?.url || '') + ' ' + (l?.description || '')).toLowerCase().includes(q))) return true;
-    return safeArray(node.children).some(c => nodeMatchesQuery(c, q));
+    const parsed = typeof query === 'string' ? parseQuery(query) : query;
+    if (matchFolderTitle(node.title, parsed)) return true;
+    const path = node.__isRoot ? folders : [...folders, node.title || ''];
+    if (safeArray(node.links).some(l => matchLink(l, parsed, path))) return true;
+    return safeArray(node.children).some(c => nodeMatchesQuery(c, parsed, path));
 }
 
 export function findNode(list, id) {
@@ -170,22 +254,16 @@ export function findNode(list, id) {
 
 export function filterTreeDeep(list, query) {
     if (!query || !query.trim()) return safeArray(list);
-    const needle = query.toLowerCase().trim();
-
-    function linkMatches(link) {
-        if (!link) return false;
-        const text = (link.title || '') + (link.url || '') + (link.description || '');
-        return text.toLowerCase().includes(needle);
-    }
+    const parsed = parseQuery(query);
 
-    function collectMatchingLinks(links) {
+    function collectMatchingLinks(links, folders) {
         const result = [];
         for (const link of safeArray(links)) {
             if (!link) continue;
-            if (linkMatches(link)) {
+            if (matchLink(link, parsed, folders)) {
                 result.push(link);
             } else if (safeArray(link.children).length > 0) {
-                const deepMatches = collectMatchingLinks(link.children);
+                const deepMatches = collectMatchingLinks(link.children, folders);
                 if (deepMatches.length > 0) {
                     result.push({ ...link, children: deepMatches });
                 }
@@ -194,16 +272,17 @@ export function filterTreeDeep(list, query) {
         return result;
     }
 
-    function filterNodeDeep(node) {
+    function filterNodeDeep(node, folders) {
         if (!node) return null;
-        const matchedLinks = collectMatchingLinks(safeArray(node.links));
-        const matchedChildren = safeArray(node.children).map(filterNodeDeep).filter(Boolean);
+        const path = node.__isRoot ? folders : [...folders, node.title || ''];
+        const matchedLinks = collectMatchingLinks(safeArray(node.links), path);
+        const matchedChildren = safeArray(node.children).map(c => filterNodeDeep(c, path)).filter(Boolean);
         return (matchedLinks.length > 0 || matchedChildren.length > 0)
             ? { ...node, links: matchedLinks, children: matchedChildren }
             : null;
     }
 
-    return safeArray(list).map(filterNodeDeep).filter(Boolean);
+    return safeArray(list).map(n => filterNodeDeep(n, [])).filter(Boolean);
 }
 
 export function findLinkDeep(tree, linkId) {
@@ -225,4 +304,247 @@ export function findLinkDeep(tree, linkId) {
         if (inChildren) return inChildren;
     }
     return null;
-}
\ No newline at end of file
+}
+
+export function walkLinks(tree, visit) {
+    function walk(links, path) {
+        for (const link of safeArray(links)) {
+            if (!link) continue;
+            visit(link, path);
+            walk(link.children, [...path, link.title || link.url || '']);
+        }
+    }
+    (function walkNodes(nodes, path) {
+        for (const node of safeArray(nodes)) {
+            if (!node) continue;
+            const nodePath = node.__isRoot ? path : [...path, node.title || ''];
+            walk(node.links, nodePath);
+            walkNodes(node.children, nodePath);
+        }
+    })(tree, []);
+}
+
+export function findLinkLocation(tree, id) {
+    let found = null;
+    function searchLinks(links) {
+        for (let i = 0; i < links.length && !found; i++) {
+            if (links[i]?.id === id) found = { list: links, index: i };
+            else if (Array.isArray(links[i]?.children)) searchLinks(links[i].children);
+        }
+    }
+    (function walkNodes(nodes) {
+        for (const node of safeArray(nodes)) {
+            if (found) return;
+            if (!node) continue;
+            if (Array.isArray(node.links)) searchLinks(node.links);
+            walkNodes(node.children);
+        }
+    })(tree);
+    return found;
+}
+
+function _containsId(item, id) {
+    for (const child of [...safeArray(item.children), ...safeArray(item.links)]) {
+        if (!child) continue;
+        if (child.id === id || _containsId(child, id)) return true;
+    }
+    return false;
+}
+
+function _canPlace(tree, type, target, position) {
+    if (target.type === 'root') return true;
+    const tgtNode = target.type === 'folder' ? findNode(tree, target.id) : findLinkDeep(tree, target.id);
+    if (!tgtNode) return false;
+    if (target.type === 'folder') {
+        if (position === 'inside') return !isSmartFolder(tgtNode);
+        return type === 'folder';
+    }
+    return type === 'link';
+}
+
+function _placeItem(tree, type, item, target, position) {
+    if (target.type === 'root') {
+        if (type === 'folder') tree.push(item);
+        else ensureRootFolder(tree).links.push(item);
+        return;
+    }
+    if (position === 'inside') {
+        const tgt = target.type === 'folder' ? findNode(tree, target.id) : findLinkDeep(tree, target.id);
+        if (type === 'folder') (tgt.children = safeArray(tgt.children)).push(item);
+        else if (target.type === 'folder') (tgt.links = safeArray(tgt.links)).push(item);
+        else (tgt.children = safeArray(tgt.children)).push(item);
+        return;
+    }
+    const loc  = target.type === 'folder' ? findParentAndIndex(tree, target.id) : findLinkLocation(tree, target.id);
+    const list = target.type === 'folder' ? loc.parentArray : loc.list;
+    list.splice(position === 'after' ? loc.index + 1 : loc.index, 0, item);
+}
+
+export function canMoveItem(tree, src, target, position) {
+    if (!src || !target || src.id === target.id) return false;
+    const srcNode = src.type === 'folder' ? findNode(tree, src.id) : findLinkDeep(tree, src.id);
+    if (!srcNode) return false;
+    if (target.type !== 'root' && _containsId(srcNode, target.id)) return false;
+    return _canPlace(tree, src.type, target, position);
+}
+
+export function moveItem(tree, src, target, position) {
+    if (!canMoveItem(tree, src, target, position)) return false;
+    let item;
+    if (src.type === 'folder') {
+        const s = findParentAndIndex(tree, src.id);
+        item = s.parentArray.splice(s.index, 1)[0];
+    } else {
+        const s = findLinkLocation(tree, src.id);
+        item = s.list.splice(s.index, 1)[0];
+    }
+    _placeItem(tree, src.type, item, target, position);
+    return true;
+}
+
+export function insertItem(tree, type, item, target, position) {
+    if (!item || !target || !_canPlace(tree, type, target, position)) return false;
+    _placeItem(tree, type, item, target, position);
+    return true;
+}
+
+export function mergeTrees(base, incoming) {
+    const tree  = clone(safeArray(base));
+    const stats = { folders: 0, links: 0, duplicates: 0 };
+    const byUrl = new Map();
+    const ids   = new Set();
+
+    function register(links) {
+        for (const link of safeArray(links)) {
+            if (!link) continue;
+            ids.add(link.id);
+            const key = normalizeUrl(link.url);
+            if (key && !byUrl.has(key)) byUrl.set(key, link);
+            register(link.children);
+        }
+    }
+    (function registerNodes(nodes) {
+        for (const n of safeArray(nodes)) {
+            if (!n) continue;
+            ids.add(n.id);
+            register(n.links);
+            registerNodes(n.children);
+        }
+    })(tree);
+
+    function freshId(id) {
+        const result = typeof id === 'string' && id && !ids.has(id) ? id : uid();
+        ids.add(result);
+        return result;
+    }
+
+    function mergeLinks(target, links) {
+        for (const link of safeArray(links)) {
+            if (!link) continue;
+            const key = normalizeUrl(link.url);
+            const existing = key ? byUrl.get(key) : null;
+            if (existing) {
+                stats.duplicates++;
+                const tags = normalizeTags([...safeArray(existing.tags), ...safeArray(link.tags)]);
+                if (tags.length) existing.tags = tags;
+                if (safeArray(link.children).length > 0) {
+                    existing.children = safeArray(existing.children);
+                    mergeLinks(existing.children, link.children);
+                }
+                continue;
+            }
+            const { children, ...rest } = link;
+            const copy = { ...clone(rest), id: freshId(link.id) };
+            target.push(copy);
+            stats.links++;
+            if (key) byUrl.set(key, copy);
+            if (safeArray(children).length > 0) {
+                copy.children = [];
+                mergeLinks(copy.children, children);
+            }
+        }
+    }
+
+    function sameTitle(a, b) {
+        return (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+    }
+
+    function mergeFolders(target, nodes) {
+        for (const node of safeArray(nodes)) {
+            if (!node) continue;
+            if (isSmartFolder(node)) {
+                if (!target.some(n => isSmartFolder(n) && n.query === node.query)) {
+                    target.push({ ..._normalizeSmartFolder(node), id: freshId(node.id) });
+                    stats.folders++;
+                }
+                continue;
+            }
+            let match = node.__isRoot
+                ? target.find(n => n?.__isRoot)
+                : target.find(n => n && !n.__isRoot && !isSmartFolder(n) && sameTitle(n.title, node.title));
+            if (!match) {
+                match = { id: freshId(node.id), type: 'folder', title: node.title || '', children: [], links: [] };
+                if (node.__isRoot) {
+                    match.__isRoot = true;
+                    target.unshift(match);
+                } else {
+                    target.push(match);
+                    stats.folders++;
+                }
+            }
+            match.links    = safeArray(match.links);
+            match.children = safeArray(match.children);
+            mergeLinks(match.links, node.links);
+            mergeFolders(match.children, node.children);
+        }
+    }
+
+    mergeFolders(tree, incoming);
+    return { tree, stats };
+}
+
+function _indexTree(tree) {
+    const folders = new Map();
+    const links   = new Map();
+    function walkLinks(list) {
+        for (const l of safeArray(list)) {
+            if (!l) continue;
+            links.set(l.id, l);
+            walkLinks(l.children);
+        }
+    }
+    (function walk(nodes) {
+        for (const n of safeArray(nodes)) {
+            if (!n) continue;
+            if (!n.__isRoot) folders.set(n.id, n);
+            walkLinks(n.links);
+            walk(n.children);
+        }
+    })(tree);
+    return { folders, links };
+}
+
+export function countTree(tree) {
+    const { folders, links } = _indexTree(tree);
+    return { folders: folders.size, links: links.size };
+}
+
+export function diffTrees(from, to) {
+    const a = _indexTree(from);
+    const b = _indexTree(to);
+    const diff = { added: 0, removed: 0, changed: 0 };
+    for (const [id, l] of b.links) {
+        const old = a.links.get(id);
+        if (!old) diff.added++;
+        else if (old.title !== l.title || old.url !== l.url || old.description !== l.description
+            || safeArray(old.tags).join() !== safeArray(l.tags).join() || !!old.pinned !== !!l.pinned) diff.changed++;
+    }
+    for (const id of a.links.keys()) if (!b.links.has(id)) diff.removed++;
+    for (const [id, f] of b.folders) {
+        const old = a.folders.get(id);
+        if (!old) diff.added++;
+        else if (old.title !== f.title || old.query !== f.query || !!old.pinned !== !!f.pinned) diff.changed++;
+    }
+    for (const id of a.folders.keys()) if (!b.folders.has(id)) diff.removed++;
+    return diff;
+}
@@ -0,0 +1,39 @@
+export function createUndoStack(limit = 100) {
+    const done   = [];
+    const undone = [];
+    let sealed   = true;
+
+    return {
+        record(command) {
+            const top = done[done.length - 1];
+            if (command.group && !sealed && top?.group === command.group) {
+                top.redo = command.redo;
+            } else {
+                done.push(command);
+                if (done.length > limit) done.shift();
+            }
+            sealed = !command.group;
+            undone.length = 0;
+        },
+        undo() {
+            const command = done.pop();
+            if (!command) return false;
+            command.undo();
+            undone.push(command);
+            sealed = true;
+            return true;
+        },
+        redo() {
+            const command = undone.pop();
+            if (!command) return false;
+            command.redo();
+            done.push(command);
+            sealed = true;
+            return true;
+        },
+        seal()    { sealed = true; },
+        clear()   { done.length = 0; undone.length = 0; sealed = true; },
+        canUndo() { return done.length > 0; },
+        canRedo() { return undone.length > 0; }
+    };
+}
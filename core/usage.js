@@ -0,0 +1,77 @@
+import { normalizeUrl } from '../utils/url.js';
+import { safeArray } from './tree.js';
+
+export const USAGE_MAX_ENTRIES = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function normalizeUsage(raw) {
+    const result = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return result;
+    for (const [key, entry] of Object.entries(raw)) {
+        if (!key || !entry) continue;
+        const count = Number(entry.count);
+        const last  = Number(entry.last);
+        if (!(count > 0) || !(last > 0)) continue;
+        result[key] = { count: Math.floor(count), last };
+    }
+    return result;
+}
+
+export function addVisits(usage, urls, now = Date.now()) {
+    const result = { ...usage };
+    for (const url of safeArray(urls)) {
+        const key = normalizeUrl(url);
+        if (!key) continue;
+        const entry = result[key];
+        result[key] = { count: (entry?.count || 0) + 1, last: now };
+    }
+    const keys = Object.keys(result);
+    if (keys.length > USAGE_MAX_ENTRIES) {
+        keys.sort((a, b) => result[b].last - result[a].last);
+        for (const key of keys.slice(USAGE_MAX_ENTRIES)) delete result[key];
+    }
+    return result;
+}
+
+export function usageFor(usage, url) {
+    const key = normalizeUrl(url);
+    return key ? usage?.[key] || null : null;
+}
+
+export function frecency(entry, now = Date.now()) {
+    if (!entry) return 0;
+    const age = (now - entry.last) / DAY_MS;
+    const weight = age < 4 ? 100 : age < 14 ? 70 : age < 31 ? 50 : age < 90 ? 30 : 10;
+    return entry.count * weight;
+}
+
+export function frecencyBoost(usage, url, now = Date.now()) {
+    const score = frecency(usageFor(usage, url), now);
+    return score ? Math.min(150, Math.log2(1 + score) * 15) : 0;
+}
+
+export function topLinks(tree, usage, mode, limit = 5, now = Date.now()) {
+    const seen   = new Set();
+    const ranked = [];
+    function walkLinks(links) {
+        for (const link of safeArray(links)) {
+            if (!link) continue;
+            const key   = normalizeUrl(link.url);
+            const entry = key ? usage?.[key] : null;
+            if (entry && !seen.has(key)) {
+                seen.add(key);
+                ranked.push({ link, score: mode === 'recent' ? entry.last : frecency(entry, now) });
+            }
+            walkLinks(link.children);
+        }
+    }
+    (function walk(nodes) {
+        for (const n of safeArray(nodes)) {
+            if (!n) continue;
+            walkLinks(n.links);
+            walk(n.children);
+        }
+    })(tree);
+    return ranked.sort((a, b) => b.score - a.score).slice(0, limit).map(r => r.link);
+}
@@ -0,0 +1,20 @@
+import { safeArray } from './tree.js';
+
+export const DEFAULT_WORKSPACE_ID = 'default';
+
+export function normalizeWorkspaces(raw) {
+    const seen = new Set();
+    const list = [];
+    for (const ws of safeArray(raw?.list)) {
+        if (!ws || typeof ws.id !== 'string' || !ws.id || seen.has(ws.id)) continue;
+        seen.add(ws.id);
+        list.push({ id: ws.id, title: typeof ws.title === 'string' ? ws.title.trim() : '' });
+    }
+    if (!list.length) list.push({ id: DEFAULT_WORKSPACE_ID, title: '' });
+    const active = list.some(ws => ws.id === raw?.active) ? raw.active : list[0].id;
+    return { active, list };
+}
+
+export function findWorkspace(workspaces, id) {
+    return safeArray(workspaces?.list).find(ws => ws.id === id) || null;
+}
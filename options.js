@@ -1,10 +1,17 @@
-import { loadAll, saveTree, saveSettings, loadBackup, saveSavedTabs, getCachedSavedTabs } from './storage/storage.js';
+import { loadAll, saveTree, saveSettings, loadHistory, recordVisits, loadLinkHealth, saveLinkHealth, saveSavedTabs, getCachedTree, getCachedSavedTabs, getCachedCollapsed, loadUsage, saveUsage, clearUsage, subscribe, getCachedWorkspaces, loadWorkspaceData, createWorkspace, duplicateWorkspace, renameWorkspace, deleteWorkspace, switchWorkspace, restoreWorkspaces } from './storage/storage.js';
 import { applySettingsToDOM } from './core/settings.js';
-import { normalizeTree, clone, removeEmptyFolders } from './core/tree.js';
-import { mount, renderTree, setUnsaved, setupAutosave, getCurrentTree, isUnsaved, renderSavedTabsPanel } from './ui/options-ui.js';
-import { exportTreeToTxt, exportSettingsTxt, parseTxtToTree, parseSettingsTxt, exportTabSessionsTxt, exportAllData, importAllData } from './utils/export.js';
-import { configureFavicons, loadFaviconCache } from './utils/favicon.js';
+import { normalizeTree, clone, removeEmptyFolders, mergeTrees, walkLinks, findNode } from './core/tree.js';
+import { mergeSessions, combineSessions, sessionToFolder, folderToSession } from './core/sessions.js';
+import { findDuplicates, dedupeLinks } from './core/duplicates.js';
+import { healthReport, collectCheckableLinks, applyRedirects, archiveLinks, removeLinks } from './core/linkhealth.js';
+import { mount, renderTree, replaceTree, appendFolder, loadTree, setUnsaved, setupAutosave, getCurrentTree, isUnsaved, renderSavedTabsPanel, renderHistoryPanel, renderWorkspacesPanel, renderDuplicatesPanel, renderLinkHealthPanel, renderSnapshotsPanel, setSnapshotIds } from './ui/options-ui.js';
+import { exportTreeToTxt, exportTreeToHtml, exportSettingsTxt, parseTxtToTree, parseSettingsTxt, exportTabSessionsTxt, exportAllData, importAllData, exportJsonBackup, parseJsonBackup, exportWorkspaceJson, parseWorkspaceJson, parseTabSessionsTxt } from './utils/export.js';
+import { configureFavicons, loadFaviconCache, getFaviconCacheSnapshot, restoreFaviconCache } from './utils/favicon.js';
 import { setLanguage, t, applyI18nToDOM } from './utils/i18n.js';
+import { restoreSession } from './utils/tabs.js';
+import { checkLinks } from './utils/linkcheck.js';
+import { captureUrl } from './utils/snapshot.js';
+import { putSnapshot, listSnapshots, deleteSnapshots } from './storage/snapshots.js';
 
 (async function init() {
     const { tree, settings, savedTabs } = await loadAll();
@@ -55,12 +62,17 @@ import { setLanguage, t, applyI18nToDOM } from './utils/i18n.js';
         sync('settingLayout',   s.layoutCorrection !== false);
         sync('settingNestedLinks',       !!s.nestedLinksEnabled);
         sync('settingNestedLinksSearch', !!s.nestedLinksSearch);
+        sync('settingAutoSnapshots',     !!s.autoSnapshots);
         _updateSessionsVisibility(!!s.saveTabs);
 
         const themeEl = document.getElementById('settingTheme');
         if (themeEl) themeEl.value = s.theme || 'light';
         const langEl = document.getElementById('settingLang');
         if (langEl) langEl.value = s.language || 'en';
+        const intervalEl = document.getElementById('settingAutoSnapshotInterval');
+        if (intervalEl) intervalEl.value = String(s.autoSnapshotInterval ?? 15);
+        const keepEl = document.getElementById('settingAutoSnapshotKeep');
+        if (keepEl) keepEl.value = String(s.autoSnapshotKeep ?? 10);
         const altQEl = document.getElementById('settingAltQMode');
         if (altQEl) altQEl.value = s.altQMode || 'popup';
         const scaleValEl = document.getElementById('settingScaleVal');
@@ -69,24 +81,247 @@ import { setLanguage, t, applyI18nToDOM } from './utils/i18n.js';
         if (optScaleValEl) optScaleValEl.textContent = `${s.optionsScale ?? 115}%`;
     }
 
-    async function handleSave() {
+    const pendingSessionMoves = new Map();
+
+    async function _commitSessionMoves(saved) {
+        const done = [...pendingSessionMoves].filter(([folderId]) => findNode(saved, folderId));
+        if (!done.length) return;
+        const sessionIds = new Set(done.map(([, sessionId]) => sessionId));
+        for (const [folderId] of done) pendingSessionMoves.delete(folderId);
+        await saveSavedTabs(getCachedSavedTabs().filter(s => !sessionIds.has(s.id)));
+        _refreshTabsPanel();
+    }
+
+    // Set when another page switched workspaces but our unsaved edits could
+    // not be written; they stay in the editor and still belong to this one.
+    let strandedWorkspace;
+
+    async function _saveEditorTree() {
         const normalized = normalizeTree(getCurrentTree());
-        await saveTree(normalized);
+        try { await saveTree(normalized, strandedWorkspace); }
+        catch (err) { _showToast(t('saveFailed') + err.message); return false; }
+        if (strandedWorkspace) {
+            pendingSessionMoves.clear();
+            _loadWorkspace(await loadAll());
+            return true;
+        }
+        await _commitSessionMoves(normalized);
         savedTreeSnapshot = clone(normalized);
         setUnsaved(false);
+        _hideConflict();
+        _refreshHistoryPanel();
+        return true;
+    }
+
+    async function handleSave() {
+        if (!(await _saveEditorTree())) return false;
         _showToast(t('saved'));
+        return true;
     }
 
     function refreshAutosave() {
-        setupAutosave(currentSettings.autosave, async () => {
-            const normalized = normalizeTree(getCurrentTree());
-            await saveTree(normalized);
-            savedTreeSnapshot = clone(normalized);
-            setUnsaved(false);
-        });
+        setupAutosave(currentSettings.autosave, _saveEditorTree);
     }
     refreshAutosave();
 
+    async function _refreshHistoryPanel() {
+        const snapshots = await loadHistory();
+        renderHistoryPanel(snapshots, getCurrentTree(), (snap) => {
+            if (!confirm(t('snapshotRestoreConfirm'))) return;
+            replaceTree(clone(snap.tree));
+            _refreshHistoryPanel();
+        });
+    }
+
+    function _refreshDuplicates() {
+        const section = document.getElementById('duplicatesSection');
+        if (!section || section.hidden) return;
+        const dedupe = (ids, keepId, mergeDescriptions) => {
+            const tree = clone(getCurrentTree());
+            if (!dedupeLinks(tree, ids, keepId, { mergeDescriptions })) return;
+            replaceTree(tree);
+            _refreshDuplicates();
+        };
+        renderDuplicatesPanel(findDuplicates(getCurrentTree()), {
+            onKeep:  (ids, keepId) => dedupe(ids, keepId, false),
+            onMerge: (ids, keepId) => dedupe(ids, keepId, true)
+        });
+    }
+
+    let _linkHealth = {};
+    let _healthScan = null;
+
+    function _refreshLinkHealth() {
+        const section = document.getElementById('linkHealthSection');
+        if (!section || section.hidden) return;
+        renderLinkHealthPanel(healthReport(getCurrentTree(), _linkHealth), {
+            onBulk: (action, ids) => {
+                if (action === 'delete' && !confirm(t('healthDeleteConfirm', ids.length))) return;
+                const tree = clone(getCurrentTree());
+                const changed = action === 'redirect' ? applyRedirects(tree, ids, _linkHealth)
+                    : action === 'archive' ? archiveLinks(tree, ids, t('archiveFolder'))
+                    : removeLinks(tree, ids);
+                if (!changed) return;
+                replaceTree(tree);
+                _refreshLinkHealth();
+            }
+        });
+    }
+
+    async function _scanLinks() {
+        const button   = document.getElementById('linkHealthScan');
+        const progress = document.getElementById('linkHealthProgress');
+        if (_healthScan) { _healthScan.abort(); return; }
+
+        _healthScan = new AbortController();
+        if (button) button.textContent = t('checkStop');
+        const urls = collectCheckableLinks(getCurrentTree()).map(({ link }) => link.url);
+        const results = await checkLinks(urls, {
+            signal: _healthScan.signal,
+            onProgress: (done, total) => { if (progress) progress.textContent = t('checkProgress', done, total); }
+        });
+        const stopped = _healthScan.signal.aborted;
+        _healthScan = null;
+
+        _linkHealth = { ..._linkHealth, ...results };
+        await saveLinkHealth(_linkHealth);
+        if (button) button.textContent = t('checkScan');
+        if (progress) progress.textContent = t(stopped ? 'checkStopped' : 'checkDone', Object.keys(results).length);
+        _refreshLinkHealth();
+    }
+
+    async function _linkIdsInAllWorkspaces() {
+        const ids = new Set();
+        const collect = (tree) => walkLinks(tree, link => ids.add(link.id));
+        collect(getCurrentTree());
+        const { list, active } = getCachedWorkspaces();
+        for (const ws of list) {
+            if (ws.id !== active) collect((await loadWorkspaceData(ws.id)).tree);
+        }
+        return ids;
+    }
+
+    async function _refreshSnapshots() {
+        const [snapshots, usage, linkIds] = await Promise.all([
+            listSnapshots().catch(() => []),
+            navigator.storage?.estimate?.().catch(() => null),
+            _linkIdsInAllWorkspaces()
+        ]);
+        for (const snap of snapshots) snap.orphan = !linkIds.has(snap.id);
+        setSnapshotIds(snapshots.map(s => s.id));
+        renderSnapshotsPanel(snapshots, usage, {
+            onView:   _viewSnapshot,
+            onDelete: async (ids) => {
+                if (!confirm(t('deleteSnapshotConfirm'))) return;
+                await deleteSnapshots(ids);
+                _refreshSnapshots();
+            }
+        });
+        return snapshots;
+    }
+
+    function _viewSnapshot(id) {
+        chrome.tabs.create({ url: chrome.runtime.getURL('snapshot.html') + '?id=' + encodeURIComponent(id) });
+    }
+
+    async function _saveSnapshot(link) {
+        if (!link.url) return;
+        try {
+            const page = await captureUrl(link.url);
+            await putSnapshot(link.id, { url: link.url, title: page.title || link.title, html: page.html });
+            _refreshSnapshots();
+        } catch (err) {
+            console.warn('[options] snapshot failed:', err);
+            alert(t('snapshotFailed'));
+        }
+    }
+
+    async function _refreshUsageStats() {
+        const usage = await loadUsage();
+        const el = document.getElementById('usageStatsDesc');
+        if (el) el.textContent = t('usageStatsCount', Object.keys(usage).length);
+    }
+    _refreshUsageStats();
+
+    document.getElementById('clearUsageBtn')?.addEventListener('click', async () => {
+        if (!confirm(t('clearUsageConfirm'))) return;
+        await clearUsage();
+        _refreshUsageStats();
+        _showToast(t('usageCleared'));
+    });
+
+    let _externalTree = null;
+
+    function _hideConflict() {
+        _externalTree = null;
+        document.getElementById('syncConflict')?.remove();
+    }
+
+    function _showConflict(external) {
+        _externalTree = external;
+        if (document.getElementById('syncConflict')) return;
+        const bar = document.createElement('div');
+        bar.id = 'syncConflict';
+        bar.className = 'sync-conflict';
+        const msg = document.createElement('span');
+        msg.textContent = t('treeChangedElsewhere');
+        bar.appendChild(msg);
+        const actions = [
+            ['conflictMerge',  () => {
+                const { tree: merged } = mergeTrees(getCurrentTree(), _externalTree);
+                replaceTree(merged);
+                setUnsaved(true);
+            }],
+            ['conflictReload', () => {
+                loadTree(clone(_externalTree));
+            }],
+            ['conflictKeep',   () => {}]
+        ];
+        for (const [key, action] of actions) {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-sm';
+            btn.textContent = t(key);
+            btn.addEventListener('click', () => { action(); _hideConflict(); });
+            bar.appendChild(btn);
+        }
+        treePanel.insertBefore(bar, document.getElementById('tree'));
+    }
+
+    subscribe(async (update) => {
+        if (update.switchedFrom) {
+            if (isUnsaved()) {
+                try { await saveTree(normalizeTree(getCurrentTree()), update.switchedFrom); }
+                catch (err) {
+                    strandedWorkspace = update.switchedFrom;
+                    _showToast(t('saveFailed') + err.message);
+                    return;
+                }
+                _showToast(t('workspaceEditsSaved'));
+            }
+            _loadWorkspace(update);
+            return;
+        }
+        if (update.workspaces) _refreshWorkspaces();
+        if (update.settings) {
+            _applySettingsToUI({ ...update.settings });
+            refreshAutosave();
+            renderTree(getCurrentTree());
+            _refreshWorkspaces();
+        }
+        if (update.tree && !strandedWorkspace) {
+            savedTreeSnapshot = clone(update.tree);
+            if (isUnsaved()) {
+                _showConflict(update.tree);
+            } else {
+                _hideConflict();
+                loadTree(clone(update.tree));
+            }
+            _refreshHistoryPanel();
+        }
+        if (update.savedTabs) _refreshTabsPanel();
+        if (update.usage)     _refreshUsageStats();
+    });
+
     function _updateSessionsVisibility(saveTabs) {
         const section = document.getElementById('savedTabsSection');
         if (section) section.style.display = saveTabs ? '' : 'none';
@@ -95,33 +330,164 @@ import { setLanguage, t, applyI18nToDOM } from './utils/i18n.js';
 
     function _refreshTabsPanel() {
         const sessions = getCachedSavedTabs();
-        renderSavedTabsPanel(
-            sessions,
-            (session) => {
+        renderSavedTabsPanel(sessions, {
+            onRestore: async (session, options) => {
                 if (!confirm(t('tabsRestore', session.tabs.length))) return;
-                session.tabs.forEach(tab => {
-                    try { chrome.tabs.create({ url: tab.url }); } catch { window.open(tab.url, '_blank'); }
-                });
+                try {
+                    const skipped = await restoreSession(session, options);
+                    if (skipped) _showToast(t('tabsRestoreSkipped', skipped));
+                } catch (err) {
+                    console.error('[options] restore failed:', err);
+                    _showToast(t('tabsRestoreFailed'));
+                }
             },
-            async (sessionId) => {
+            onDelete: async (sessionId) => {
                 const updated = getCachedSavedTabs().filter(s => s.id !== sessionId);
                 await saveSavedTabs(updated);
                 _refreshTabsPanel();
             },
-            () => exportTabSessionsTxt(getCachedSavedTabs())
-        );
+            onUpdate: async (session) => {
+                const updated = session.tabs.length
+                    ? getCachedSavedTabs().map(s => s.id === session.id ? session : s)
+                    : getCachedSavedTabs().filter(s => s.id !== session.id);
+                await saveSavedTabs(updated);
+                _refreshTabsPanel();
+            },
+            onMerge: async (targetId, sourceId) => {
+                const list   = getCachedSavedTabs();
+                const target = list.find(s => s.id === targetId);
+                const source = list.find(s => s.id === sourceId);
+                if (!target || !source) return;
+                if (!confirm(t('mergeSessionsConfirm', source.title || source.date, target.title || target.date))) { _refreshTabsPanel(); return; }
+                const merged = combineSessions(target, source);
+                await saveSavedTabs(list.filter(s => s.id !== sourceId).map(s => s.id === targetId ? merged : s));
+                _refreshTabsPanel();
+            },
+            onMoveToTree: async (session, split) => {
+                const folder = sessionToFolder(session, { split, windowTitle: (n) => t('windowN', n), groupTitle: t('tabGroup') });
+                if (isUnsaved()) {
+                    pendingSessionMoves.set(folder.id, session.id);
+                    appendFolder(folder);
+                    _showToast(t('sessionMovedToTree', folder.title));
+                    return;
+                }
+                const stored = normalizeTree([...clone(getCachedTree()), folder]);
+                try { await saveTree(stored); }
+                catch (err) { _showToast(t('saveFailed') + err.message); return; }
+                await saveSavedTabs(getCachedSavedTabs().filter(s => s.id !== session.id));
+                savedTreeSnapshot = clone(stored);
+                loadTree(clone(stored));
+                _refreshTabsPanel();
+                _refreshHistoryPanel();
+                _showToast(t('sessionMovedToTree', folder.title));
+            },
+            onExport: () => exportTabSessionsTxt(getCachedSavedTabs())
+        });
+    }
+
+    async function _saveFolderAsSession(folder) {
+        if (!currentSettings.saveTabs) { _showToast(t('tabsDisabled')); return; }
+        const session = folderToSession(folder);
+        if (!session.tabs.length) { _showToast(t('noLinks')); return; }
+        await saveSavedTabs([session, ...getCachedSavedTabs()]);
+        _refreshTabsPanel();
+        _showToast(t('tabsSaved', session.tabs.length));
     }
     _refreshTabsPanel();
 
+    function _workspaceName(ws) {
+        return ws?.title || t('workspaceDefault');
+    }
+
+    function _refreshWorkspaces() {
+        const workspaces = getCachedWorkspaces();
+        const active = workspaces.list.find(ws => ws.id === workspaces.active);
+        const nameEl = document.getElementById('workspaceName');
+        if (nameEl) nameEl.textContent = workspaces.list.length > 1 ? _workspaceName(active) : '';
+        renderWorkspacesPanel(workspaces, {
+            onSwitch:    _switchTo,
+            onRename:    async (ws) => {
+                const title = prompt(t('workspaceNamePrompt'), _workspaceName(ws))?.trim();
+                if (!title) return;
+                await renameWorkspace(ws.id, title);
+                _refreshWorkspaces();
+            },
+            onDuplicate: async (ws) => {
+                const title = prompt(t('workspaceNamePrompt'), t('workspaceCopyName', _workspaceName(ws)))?.trim();
+                if (!title) return;
+                if (ws.id === workspaces.active && isUnsaved() && !(await handleSave())) return;
+                await duplicateWorkspace(ws.id, title);
+                _refreshWorkspaces();
+            },
+            onExport:    async (ws) => {
+                const data = ws.id === workspaces.active
+                    ? { tree: getCurrentTree(), savedTabs: getCachedSavedTabs(), collapsed: getCachedCollapsed() }
+                    : await loadWorkspaceData(ws.id);
+                exportWorkspaceJson({ title: ws.title, tree: data.tree, sessions: data.savedTabs, collapsed: data.collapsed });
+            },
+            onDelete:    async (ws) => {
+                if (workspaces.list.length <= 1) { _showToast(t('workspaceLastOne')); return; }
+                if (!confirm(t('workspaceDeleteConfirm', _workspaceName(ws)))) return;
+                if (ws.id === workspaces.active) {
+                    setUnsaved(false);
+                    await deleteWorkspace(ws.id);
+                    _loadWorkspace(await loadAll());
+                } else {
+                    await deleteWorkspace(ws.id);
+                    _refreshWorkspaces();
+                }
+            }
+        });
+    }
+
+    function _loadWorkspace({ tree: wsTree }) {
+        strandedWorkspace = undefined;
+        _hideConflict();
+        savedTreeSnapshot = clone(wsTree);
+        loadTree(clone(wsTree));
+        _refreshTabsPanel();
+        _refreshHistoryPanel();
+        _refreshWorkspaces();
+    }
+
+    async function _switchTo(ws) {
+        if (isUnsaved() && !confirm(t('discardConfirm'))) return;
+        _loadWorkspace(await switchWorkspace(ws.id));
+        _showToast(t('workspaceSwitched', _workspaceName(ws)));
+    }
+    _refreshWorkspaces();
+
+    document.getElementById('newWorkspaceBtn')?.addEventListener('click', async () => {
+        const title = prompt(t('workspaceNamePrompt'))?.trim();
+        if (!title) return;
+        const id = await createWorkspace(title);
+        await _switchTo({ id, title });
+    });
+
+    document.getElementById('importWorkspaceFile')?.addEventListener('change', e => {
+        const file = e.target.files?.[0]; if (!file) return;
+        const reader = new FileReader();
+        reader.onload = async () => {
+            try {
+                const ws = parseWorkspaceJson(reader.result);
+                const title = ws.title || file.name.replace(/\.json$/i, '');
+                await createWorkspace(title, { tree: ws.tree, savedTabs: ws.sessions, collapsed: ws.collapsed });
+                _refreshWorkspaces();
+                _showToast(t('workspaceImported', title));
+            } catch (err) { alert(t('workspaceError') + err.message); }
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    });
+
     document.getElementById('importSessionsFile')?.addEventListener('change', e => {
         const file = e.target.files?.[0]; if (!file) return;
         const reader = new FileReader();
         reader.onload = async () => {
             try {
-                const sessions = _parseSessionsTxt(reader.result);
+                const sessions = parseTabSessionsTxt(reader.result);
                 if (!sessions || sessions.length === 0) { alert(t('fileNoData')); return; }
-                const existing = getCachedSavedTabs();
-                const merged = [...sessions, ...existing];
+                const { sessions: merged } = mergeSessions(getCachedSavedTabs(), sessions);
                 await saveSavedTabs(merged);
                 _refreshTabsPanel();
                 _showToast(t('settingsImported'));
@@ -131,26 +497,6 @@ import { setLanguage, t, applyI18nToDOM } from './utils/i18n.js';
         e.target.value = '';
     });
 
-    function _parseSessionsTxt(text) {
-        const sessions = [];
-        let current = null;
-        for (const line of text.split('\n')) {
-            const trimmed = line.trim();
-            if (trimmed.startsWith('[Session]')) {
-                if (current && current.tabs.length > 0) sessions.push(current);
-                current = { id: (crypto.randomUUID?.() ?? ('s-' + Date.now() + Math.random())), title: trimmed.slice(9).trim(), date: '', tabs: [] };
-            } else if (trimmed.startsWith('Date:') && current) {
-                current.date = trimmed.slice(5).trim();
-            } else if (trimmed.startsWith('Tab:') && current) {
-                current.tabs.push({ id: (crypto.randomUUID?.() ?? ('t-' + Date.now() + Math.random())), title: trimmed.slice(4).trim(), url: '' });
-            } else if (trimmed.startsWith('URL:') && current && current.tabs.length > 0) {
-                current.tabs[current.tabs.length - 1].url = trimmed.slice(4).trim();
-            }
-        }
-        if (current && current.tabs.length > 0) sessions.push(current);
-        return sessions;
-    }
-
     const treeEl = document.getElementById('tree');
     mount(treeEl, {
         tree,
@@ -158,41 +504,100 @@ import { setLanguage, t, applyI18nToDOM } from './utils/i18n.js';
 
         onSave: handleSave,
 
+        onSaveFolderAsSession: _saveFolderAsSession,
+
         onCancel: () => {
             if (!isUnsaved()) return;
             if (!confirm(t('discardConfirm'))) return;
-            renderTree(clone(savedTreeSnapshot));
-            setUnsaved(false);
+            loadTree(clone(savedTreeSnapshot));
+            _hideConflict();
         },
 
         onExport: (unique) => exportTreeToTxt(getCurrentTree(), unique),
 
-        onImport: (file) => {
+        onExportHtml: (unique) => exportTreeToHtml(getCurrentTree(), unique),
+
+        loadUsage,
+
+        onExportSelection: (selection) => exportTreeToTxt(selection, document.getElementById('exportUnique')?.checked ?? true),
+
+        onCopyUrls: async (urls) => {
+            try {
+                await navigator.clipboard.writeText(urls.join('\n'));
+                _showToast(t('urlsCopied', urls.length));
+            } catch { alert(urls.join('\n')); }
+        },
+
+        onImport: (file, merge) => {
             const reader = new FileReader();
             reader.onload = () => {
                 try {
                     const imported = parseTxtToTree(reader.result);
                     if (!imported || imported.length === 0) { alert(t('fileNoData')); return; }
-                    renderTree(imported);
-                    setUnsaved(true);
+                    if (merge) {
+                        const { tree: merged, stats } = mergeTrees(getCurrentTree(), imported);
+                        if (!stats.folders && !stats.links) { alert(t('mergeNothing')); return; }
+                        if (!confirm(t('mergePreview', stats.folders, stats.links, stats.duplicates) + '\n\n' + t('mergeApply'))) return;
+                        replaceTree(merged);
+                    } else {
+                        replaceTree(imported);
+                    }
                 } catch { alert(t('fileError')); }
             };
             reader.readAsText(file);
         },
 
         onClean: () => {
-            const cleaned = removeEmptyFolders(getCurrentTree());
-            renderTree(cleaned);
-            setUnsaved(true);
+            replaceTree(removeEmptyFolders(clone(getCurrentTree())));
+        },
+
+        onHistory: async () => {
+            await _refreshHistoryPanel();
+            const section = document.getElementById('historySection');
+            if (!section) return;
+            section.scrollIntoView({ block: 'start', behavior: 'smooth' });
+            section.classList.add('history-section-flash');
+            setTimeout(() => section.classList.remove('history-section-flash'), 1200);
+        },
+
+        onFindDuplicates: () => {
+            const section = document.getElementById('duplicatesSection');
+            if (!section) return;
+            section.hidden = false;
+            _refreshDuplicates();
+            section.scrollIntoView({ block: 'start', behavior: 'smooth' });
+            section.classList.add('history-section-flash');
+            setTimeout(() => section.classList.remove('history-section-flash'), 1200);
+        },
+
+        onCheckLinks: async () => {
+            const section = document.getElementById('linkHealthSection');
+            if (!section) return;
+            section.hidden = false;
+            _linkHealth = await loadLinkHealth();
+            _refreshLinkHealth();
+            section.scrollIntoView({ block: 'start', behavior: 'smooth' });
+            section.classList.add('history-section-flash');
+            setTimeout(() => section.classList.remove('history-section-flash'), 1200);
+        },
+
+        onScanLinks: _scanLinks,
+
+        onOpenLinks: async (urls) => {
+            if (urls.length > 6 && !confirm(`${t('openAll')}: ${urls.length}?`)) return;
+            await recordVisits(urls);
+            for (const url of urls) chrome.tabs.create({ url, active: false });
         },
 
-        onUndo: async () => {
-            const backup = await loadBackup();
-            if (!backup || backup.length === 0) { alert(t('noBackup')); return; }
-            if (!confirm(t('restoreConfirm'))) return;
-            savedTreeSnapshot = clone(backup);
-            renderTree(clone(backup));
-            setUnsaved(true);
+        onSaveSnapshot: _saveSnapshot,
+        onViewSnapshot: _viewSnapshot,
+
+        onCleanSnapshots: async () => {
+            const orphans = (await _refreshSnapshots()).filter(s => s.orphan);
+            if (!orphans.length) { alert(t('noOrphanSnapshots')); return; }
+            if (!confirm(t('cleanSnapshotsConfirm', orphans.length))) return;
+            await deleteSnapshots(orphans.map(s => s.id));
+            _refreshSnapshots();
         },
 
         onSettingChange: async (key, value) => {
@@ -203,6 +608,8 @@ import { setLanguage, t, applyI18nToDOM } from './utils/i18n.js';
                 _updateHelpLink(value);
                 renderTree(getCurrentTree());
                 _refreshTabsPanel();
+                _refreshUsageStats();
+                _refreshWorkspaces();
             }
             if (key === 'saveTabs') {
                 _updateSessionsVisibility(value);
@@ -239,6 +646,9 @@ import { setLanguage, t, applyI18nToDOM } from './utils/i18n.js';
         }
     });
 
+    _refreshHistoryPanel();
+    _refreshSnapshots();
+
     window.addEventListener('keydown', e => {
         if (e.altKey && e.key.toLowerCase() === 's') { e.preventDefault(); handleSave(); }
         else if (e.key === 'Escape' && isUnsaved()) document.getElementById('cancelBtn')?.click();
@@ -252,16 +662,67 @@ import { setLanguage, t, applyI18nToDOM } from './utils/i18n.js';
         exportAllData(getCurrentTree(), currentSettings, getCachedSavedTabs());
     });
 
+    document.getElementById('backupJson')?.addEventListener('click', async () => {
+        const workspaces = getCachedWorkspaces();
+        const entries = [];
+        for (const ws of workspaces.list) {
+            const data = ws.id === workspaces.active
+                ? { tree: getCurrentTree(), savedTabs: getCachedSavedTabs(), collapsed: getCachedCollapsed() }
+                : await loadWorkspaceData(ws.id);
+            entries.push({ id: ws.id, title: ws.title, tree: data.tree, sessions: data.savedTabs, collapsed: data.collapsed });
+        }
+        exportJsonBackup({
+            settings:        currentSettings,
+            favicons:        getFaviconCacheSnapshot(),
+            usage:           await loadUsage(),
+            activeWorkspace: workspaces.active,
+            workspaces:      entries
+        });
+    });
+
+    document.getElementById('restoreJson')?.addEventListener('change', e => {
+        const file = e.target.files?.[0]; if (!file) return;
+        const reader = new FileReader();
+        reader.onload = async () => {
+            try {
+                const backup = parseJsonBackup(reader.result);
+                if (!confirm(t('restoreBackupConfirm'))) return;
+                const restored = await restoreWorkspaces(backup.workspaces, backup.activeWorkspace);
+                restoreFaviconCache(backup.favicons);
+                await saveUsage(backup.usage);
+                _refreshUsageStats();
+                _applySettingsToUI(backup.settings);
+                await saveSettings(currentSettings);
+                refreshAutosave();
+                _loadWorkspace(restored);
+                _showToast(t('backupRestored'));
+            } catch (err) { alert(t('backupError') + err.message); }
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    });
+
     document.getElementById('importAll')?.addEventListener('change', e => {
         const file = e.target.files?.[0]; if (!file) return;
         const reader = new FileReader();
         reader.onload = async () => {
             try {
                 const result = importAllData(reader.result);
-                if (result.tree && result.tree.length > 0) {
-                    renderTree(result.tree);
-                    setUnsaved(true);
+                if (document.getElementById('importMerge')?.checked) {
+                    const preview = [];
+                    if (result.tree && result.tree.length > 0) {
+                        const { tree: merged, stats } = mergeTrees(getCurrentTree(), result.tree);
+                        result.tree = merged;
+                        preview.push(t('mergePreview', stats.folders, stats.links, stats.duplicates));
+                    }
+                    if (result.sessions && result.sessions.length > 0) {
+                        const { sessions: merged, added, duplicates } = mergeSessions(getCachedSavedTabs(), result.sessions);
+                        result.sessions = merged;
+                        preview.push(t('mergeSessionsPreview', added, duplicates));
+                    }
+                    if (preview.length && !confirm(preview.join('\n\n') + '\n\n' + t('mergeApply'))) return;
                 }
+                if (result.tree && result.tree.length > 0) replaceTree(result.tree);
                 if (result.settings) {
                     _applySettingsToUI(result.settings);
                     await saveSettings(currentSettings);
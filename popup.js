@@ -1,15 +1,20 @@
-import { loadAll, saveTree, saveSavedTabs, getCachedTree, getCachedSavedTabs } from './storage/storage.js';
+import { loadAll, saveTree, saveSavedTabs, getCachedTree, getCachedSavedTabs, loadUsage, pushRecentFolder, subscribe, switchWorkspace } from './storage/storage.js';
 import { applySettingsToDOM } from './core/settings.js';
-import { mount, focusSearch, updateCachedTree, showToast } from './ui/popup-ui.js';
+import { mount, focusSearch, updateCachedTree, updateSettings, updateUsage, updateSnapshots, showToast } from './ui/popup-ui.js';
 import { prewarmFavicons, configureFavicons, loadFaviconCache } from './utils/favicon.js';
-import { uid, clone } from './core/tree.js';
+import { uid, clone, insertLink } from './core/tree.js';
 import { setLanguage, t, applyI18nToDOM } from './utils/i18n.js';
+import { captureTabs } from './utils/tabs.js';
+import { captureTab } from './utils/snapshot.js';
+import { putSnapshot, listSnapshots } from './storage/snapshots.js';
+import { folderToSession } from './core/sessions.js';
+import { autoSortFolder } from './core/sort.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
     const searchEl = document.getElementById('popupSearch');
     if (searchEl) searchEl.value = '';
 
-    const { tree, settings, collapsed, savedTabs } = await loadAll();
+    const [{ tree, settings, collapsed, savedTabs, workspaces }, usage] = await Promise.all([loadAll(), loadUsage()]);
 
     setLanguage(settings.language || 'ru');
     applySettingsToDOM(settings);
@@ -27,7 +32,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     const treeEl = document.getElementById('tree');
 
-    async function handleSavePage(targetFolderId, customTitle, targetLinkId) {
+    async function handleSavePage(targetFolderId, customTitle, targetLinkId, { snapshot = false } = {}) {
         let tab;
         try {
             const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -36,75 +41,120 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         if (!tab?.url) { showToast(t('noTabUrl')); return; }
 
-        const newLink = { id: uid(), title: customTitle || tab.title || tab.url, url: tab.url, description: '' };
+        const newLink = { id: uid(), title: customTitle || tab.title || tab.url, url: tab.url, description: '', added: Date.now() };
         const updatedTree = clone(getCachedTree());
+        insertLink(updatedTree, newLink, { folderId: targetFolderId, linkId: targetLinkId });
+        if (!targetLinkId) autoSortFolder(updatedTree, targetFolderId, currentUsage, settings.language);
 
-        if (targetLinkId) {
-            (function insertAsChild(nodes) {
-                for (const n of nodes) {
-                    if (!n) continue;
-                    for (const l of (n.links || [])) {
-                        if (l.id === targetLinkId) {
-                            l.children = l.children || [];
-                            l.children.push(newLink);
-                            return true;
-                        }
-                        if (l.children && insertAsChild([{ links: l.children, children: [] }])) return true;
-                    }
-                    if (insertAsChild(n.children || [])) return true;
-                }
-                return false;
-            })(updatedTree);
-        } else if (targetFolderId) {
-            (function insertLink(nodes) {
-                for (const n of nodes) {
-                    if (!n) continue;
-                    if (n.id === targetFolderId) { (n.links = n.links || []).push(newLink); return true; }
-                    if (insertLink(n.children || [])) return true;
-                }
-                return false;
-            })(updatedTree);
-        } else {
-            if (!updatedTree.length) {
-                updatedTree.push({ id: uid(), type: 'folder', title: t('savedPagesFolder'), children: [], links: [newLink] });
-            } else {
-                (updatedTree[0].links = updatedTree[0].links || []).push(newLink);
-            }
-        }
-
-        await saveTree(updatedTree);
+        try { await saveTree(updatedTree); }
+        catch (err) { showToast(t('saveFailed') + err.message); return; }
+        if (!targetLinkId) pushRecentFolder(targetFolderId);
         updateCachedTree(updatedTree);
         prewarmFavicons(updatedTree);
+
+        if (snapshot) await handleSaveSnapshot(tab, newLink.id);
+    }
+
+    async function handleSaveSnapshot(tab, linkId) {
+        try {
+            const page = await captureTab(tab.id);
+            await putSnapshot(linkId, { url: tab.url, title: page.title || tab.title, html: page.html });
+            updateSnapshots((await listSnapshots()).map(s => s.id));
+            showToast(t('snapshotSavedToast'));
+        } catch (err) {
+            console.warn('[popup] snapshot failed:', err);
+            showToast(t('snapshotFailed'));
+        }
     }
 
-    async function handleSaveTabs() {
+    async function handleSaveTabs({ allWindows = false } = {}) {
         if (!settings.saveTabs) { showToast(t('tabsDisabled')); return; }
-        let tabs;
-        try { tabs = await chrome.tabs.query({ currentWindow: true }); }
+        let captured;
+        try { captured = await captureTabs({ allWindows }); }
         catch { showToast(t('noTabAccess')); return; }
 
-        const validTabs = tabs.filter(t2 => t2.url && !t2.url.startsWith('chrome://') && !t2.url.startsWith('about:'));
-        if (!validTabs.length) { showToast(t('noSaveableTabs')); return; }
+        if (!captured.tabs.length) { showToast(t('noSaveableTabs')); return; }
 
         const session = {
             id:    uid(),
             date:  new Date().toLocaleString(),
             title: `Session ${new Date().toLocaleDateString()}`,
-            tabs:  validTabs.map(t2 => ({ id: uid(), title: t2.title || t2.url, url: t2.url }))
+            tabs:  captured.tabs
         };
+        if (captured.groups.length) session.groups = captured.groups;
 
         const updated = [session, ...getCachedSavedTabs()];
         await saveSavedTabs(updated);
-        showToast(t('tabsSaved', validTabs.length));
+        showToast(t('tabsSaved', captured.tabs.length));
+    }
+
+    async function handleSaveFolderAsSession(folder) {
+        const session = folderToSession(folder);
+        if (!session.tabs.length) { showToast(t('noLinks')); return; }
+        await saveSavedTabs([session, ...getCachedSavedTabs()]);
+        showToast(t('tabsSaved', session.tabs.length));
+    }
+
+    let currentUsage = usage;
+
+    function mountWorkspace(data) {
+        mount(treeEl, {
+            tree:      data.tree,
+            settings,
+            collapsed: new Set(data.collapsed),
+            savedTabs: data.savedTabs,
+            usage:     currentUsage,
+            onSavePage: handleSavePage,
+            onSaveTabs: handleSaveTabs,
+            onSaveFolderAsSession: handleSaveFolderAsSession
+        });
+    }
+    mountWorkspace({ tree, collapsed, savedTabs });
+    listSnapshots().then(list => updateSnapshots(list.map(s => s.id)), () => {});
+
+    const workspaceSelectEl = document.getElementById('workspaceSelect');
+
+    function renderWorkspaceSelect(ws) {
+        if (!workspaceSelectEl) return;
+        workspaceSelectEl.hidden = ws.list.length < 2;
+        workspaceSelectEl.innerHTML = '';
+        for (const w of ws.list) {
+            workspaceSelectEl.appendChild(new Option(w.title || t('workspaceDefault'), w.id, false, w.id === ws.active));
+        }
     }
+    renderWorkspaceSelect(workspaces);
+
+    workspaceSelectEl?.addEventListener('change', async () => {
+        const data = await switchWorkspace(workspaceSelectEl.value);
+        mountWorkspace(data);
+        prewarmFavicons(data.tree);
+        renderWorkspaceSelect(data.workspaces);
+        focusSearch();
+    });
 
-    mount(treeEl, {
-        tree,
-        settings,
-        collapsed: new Set(collapsed),
-        savedTabs,
-        onSavePage: handleSavePage,
-        onSaveTabs: handleSaveTabs
+    subscribe((update) => {
+        if (update.switchedFrom) {
+            mountWorkspace(update);
+            prewarmFavicons(update.tree);
+        }
+        if (update.workspaces) renderWorkspaceSelect(update.workspaces);
+        if (update.settings) {
+            Object.assign(settings, update.settings);
+            setLanguage(settings.language || 'ru');
+            applySettingsToDOM(settings);
+            configureFavicons(settings);
+            applyI18nToDOM();
+            if (saveTabsBtnEl) saveTabsBtnEl.style.display = settings.saveTabs ? '' : 'none';
+            updateSettings(settings);
+        }
+        if (update.usage) {
+            currentUsage = update.usage;
+            updateUsage(update.usage);
+        }
+        if (update.tree && !update.switchedFrom) {
+            updateCachedTree(update.tree);
+            prewarmFavicons(update.tree);
+        }
     });
 
     focusSearch();
@@ -1,71 +1,47 @@
-import { loadAll } from './storage/storage.js';
-import { safeArray } from './core/tree.js';
+import { loadAll, loadUsage, recordVisits, subscribe } from './storage/storage.js';
 import { getFaviconUrl } from './utils/favicon.js';
 import { setLanguage, t } from './utils/i18n.js';
 import { applySettingsToDOM } from './core/settings.js';
-import { filterTreeWithLayout } from './utils/layout.js';
-import { filterTree } from './core/tree.js';
+import { searchForQuery } from './core/search.js';
+import { highlightFragment } from './utils/highlight.js';
 
 let _tree     = [];
 let _settings = {};
+let _usage    = {};
 let _navIndex = -1;
 let _navItems = [];
 
 document.addEventListener('DOMContentLoaded', async () => {
-    const { tree, settings } = await loadAll();
+    const [{ tree, settings }, usage] = await Promise.all([loadAll(), loadUsage()]);
     _tree     = tree     || [];
     _settings = settings || {};
+    _usage    = usage    || {};
 
     setLanguage(_settings.language || 'ru');
     applySettingsToDOM(_settings);
 
-    const input = document.getElementById('searchInput');
+    const input   = document.getElementById('searchInput');
+    const initial = new URLSearchParams(location.search).get('q') || '';
     if (input) {
+        input.value = initial;
         input.focus();
         input.addEventListener('input', () => _render(input.value.trim()));
         input.addEventListener('keydown', _onKeydown);
     }
 
-    _render('');
-});
-
-function _search(query) {
-    const results = [];
-    const isDeep  = (query.startsWith('..') || query.startsWith('\\\\') || query.startsWith('//')) && _settings.nestedLinksSearch !== false;
-    const needle  = isDeep
-        ? query.slice(2).toLowerCase().trim()
-        : query.toLowerCase().trim();
-
-    function matchLink(link) {
-        if (!needle) return true;
-        return ((link.title || '') + (link.url || '') + (link.description || ''))
-            .toLowerCase().includes(needle);
-    }
-
-    function collectLinks(links, breadcrumb) {
-        for (const link of safeArray(links)) {
-            if (!link) continue;
-            if (matchLink(link)) {
-                results.push({ link, breadcrumb: breadcrumb.slice() });
-            }
-            if (isDeep && Array.isArray(link.children) && link.children.length > 0) {
-                collectLinks(link.children, [...breadcrumb, link.title || link.url || '']);
-            }
-        }
-    }
+    _render(initial.trim());
 
-    function walkNodes(nodes, path) {
-        for (const node of safeArray(nodes)) {
-            if (!node) continue;
-            const nodePath = node.__isRoot ? path : [...path, node.title || ''];
-            collectLinks(safeArray(node.links), nodePath);
-            walkNodes(safeArray(node.children), nodePath);
+    subscribe((update) => {
+        if (update.tree)     _tree     = update.tree;
+        if (update.usage)    _usage    = update.usage;
+        if (update.settings) {
+            _settings = update.settings;
+            setLanguage(_settings.language || 'ru');
+            applySettingsToDOM(_settings);
         }
-    }
-
-    walkNodes(_tree, []);
-    return results;
-}
+        if (update.tree || update.settings) _render(input ? input.value.trim() : '');
+    });
+});
 
 function _render(query) {
     const resultsEl = document.getElementById('results');
@@ -75,7 +51,7 @@ function _render(query) {
     _navIndex = -1;
     _navItems = [];
 
-    const items = _search(query);
+    const items = searchForQuery(_tree, query, _settings, _usage);
 
     if (!items.length) {
         const empty = document.createElement('div');
@@ -95,7 +71,7 @@ function _render(query) {
 }
 
 function _renderItem(item) {
-    const { link, breadcrumb } = item;
+    const { link, breadcrumb, highlight } = item;
 
     const el = document.createElement('div');
     el.className = 'result-item';
@@ -129,11 +105,20 @@ function _renderItem(item) {
 
     const title = document.createElement('div');
     title.className = 'result-title';
-    title.textContent = link.title || link.url || '—';
+    if (link.title)     title.appendChild(highlightFragment(link.title, highlight?.title));
+    else if (link.url)  title.appendChild(highlightFragment(link.url, highlight?.url));
+    else                title.textContent = '—';
 
     const url = document.createElement('div');
     url.className = 'result-url';
-    url.textContent = link.url || '';
+    url.appendChild(highlightFragment(link.url || '', highlight?.url));
+
+    if (link.tags && link.tags.length > 0) {
+        const tags = document.createElement('span');
+        tags.className = 'result-tags';
+        tags.textContent = link.tags.map(tag => '#' + tag).join(' ');
+        url.prepend(tags);
+    }
 
     content.append(title, url);
     el.appendChild(content);
@@ -183,8 +168,9 @@ function _onKeydown(e) {
     }
 }
 
-function _openUrl(url, newTab) {
+async function _openUrl(url, newTab) {
     if (!url) return;
+    try { await recordVisits([url]); } catch {}
     if (newTab) {
         chrome.tabs.create({ url });
     } else {
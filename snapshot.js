@@ -0,0 +1,28 @@
+import { getSnapshot } from './storage/snapshots.js';
+import { loadAll } from './storage/storage.js';
+import { setLanguage, t } from './utils/i18n.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const { settings } = await loadAll();
+    setLanguage(settings.language || 'ru');
+
+    const id       = new URLSearchParams(location.search).get('id') || '';
+    const snapshot = id ? await getSnapshot(id).catch(() => null) : null;
+    const frame    = document.getElementById('snapFrame');
+
+    if (!snapshot) {
+        frame.remove();
+        const missing = document.getElementById('snapMissing');
+        missing.textContent = t('snapshotMissing');
+        missing.hidden = false;
+        return;
+    }
+
+    document.title = `${t('offlineCopy')}: ${snapshot.title || snapshot.url}`;
+    document.getElementById('snapTitle').textContent = snapshot.title || snapshot.url;
+    const link = document.getElementById('snapUrl');
+    link.href = snapshot.url;
+    link.textContent = snapshot.url;
+    document.getElementById('snapDate').textContent = t('snapshotSaved', new Date(snapshot.created).toLocaleString());
+    frame.srcdoc = snapshot.html;
+});
@@ -0,0 +1,63 @@
+const DB_NAME    = 'lltm-snapshots';
+const DB_VERSION = 1;
+const PAGES      = 'pages';
+const META       = 'meta';
+
+let _db = null;
+
+function _open() {
+    if (_db) return _db;
+    _db = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(PAGES)) db.createObjectStore(PAGES, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(META))  db.createObjectStore(META,  { keyPath: 'id' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => { _db = null; reject(req.error); };
+    });
+    return _db;
+}
+
+async function _tx(stores, mode, fn) {
+    const db = await _open();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(stores, mode);
+        let result;
+        tx.oncomplete = () => resolve(result);
+        tx.onerror    = () => reject(tx.error);
+        tx.onabort    = () => reject(tx.error);
+        const req = fn(tx);
+        if (req) req.onsuccess = () => { result = req.result; };
+    });
+}
+
+export function putSnapshot(id, { url, title, html }) {
+    const meta = { id, url, title, size: new Blob([html]).size, created: Date.now() };
+    return _tx([PAGES, META], 'readwrite', (tx) => {
+        tx.objectStore(PAGES).put({ id, html });
+        tx.objectStore(META).put(meta);
+    }).then(() => meta);
+}
+
+export async function getSnapshot(id) {
+    const [meta, page] = await Promise.all([
+        _tx(META,  'readonly', tx => tx.objectStore(META).get(id)),
+        _tx(PAGES, 'readonly', tx => tx.objectStore(PAGES).get(id))
+    ]);
+    return meta && page ? { ...meta, html: page.html } : null;
+}
+
+export function listSnapshots() {
+    return _tx(META, 'readonly', tx => tx.objectStore(META).getAll()).then(list => list || []);
+}
+
+export function deleteSnapshots(ids) {
+    return _tx([PAGES, META], 'readwrite', (tx) => {
+        for (const id of ids) {
+            tx.objectStore(PAGES).delete(id);
+            tx.objectStore(META).delete(id);
+        }
+    });
+}
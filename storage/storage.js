@@ -1,87 +1,455 @@
-import { normalizeTree, clone } from '../core/tree.js';
+import { normalizeTree, clone, uid } from '../core/tree.js';
 import { mergeSettings, DEFAULT_SETTINGS } from '../core/settings.js';
+import { normalizeUsage, addVisits } from '../core/usage.js';
+import { normalizeLinkHealth } from '../core/linkhealth.js';
+import { normalizeWorkspaces, findWorkspace, DEFAULT_WORKSPACE_ID } from '../core/workspaces.js';
 
 export const STORAGE_KEY   = 'linkTree';
 export const BACKUP_KEY    = 'linkTree_backup';
 export const SETTINGS_KEY  = 'appSettings';
 export const COLLAPSE_KEY  = 'popupCollapsed';
 export const SAVEDTABS_KEY = 'savedTabs';
+export const HISTORY_KEY   = 'linkTree_history';
+export const USAGE_KEY     = 'linkUsage';
+export const RECENT_FOLDERS_KEY = 'recentFolders';
+export const WORKSPACES_KEY     = 'workspaces';
+export const LIVE_WINDOWS_KEY   = 'liveWindows';
+export const LINK_HEALTH_KEY    = 'linkHealth';
+
+export const RECENT_FOLDERS_MAX = 5;
+
+export const HISTORY_MAX_COUNT  = 20;
+export const HISTORY_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+export const HISTORY_MAX_BYTES  = 2 * 1024 * 1024;
+
+const TREE_LOCK = 'linkTree-save';
 
 const cache = {
     tree:      [],
     settings:  { ...DEFAULT_SETTINGS },
     collapsed: [],
-    savedTabs: []
+    savedTabs: [],
+    workspaces: normalizeWorkspaces(null)
 };
 
+export function workspaceKeys(id) {
+    const suffix = id && id !== DEFAULT_WORKSPACE_ID ? `:${id}` : '';
+    return {
+        tree:      STORAGE_KEY + suffix,
+        collapsed: COLLAPSE_KEY + suffix,
+        savedTabs: SAVEDTABS_KEY + suffix,
+        history:   HISTORY_KEY + suffix
+    };
+}
+
+export function isTreeKey(key) {
+    return key === STORAGE_KEY || key.startsWith(STORAGE_KEY + ':');
+}
+
+function _activeKeys() {
+    return workspaceKeys(cache.workspaces.active);
+}
+
+function _readWorkspaceData(raw, keys) {
+    return {
+        tree:      normalizeTree(raw?.[keys.tree]),
+        collapsed: Array.isArray(raw?.[keys.collapsed]) ? raw[keys.collapsed] : [],
+        savedTabs: Array.isArray(raw?.[keys.savedTabs]) ? raw[keys.savedTabs] : []
+    };
+}
+
 export function loadAll() {
     return new Promise((resolve) => {
-        chrome.storage.local.get([STORAGE_KEY, SETTINGS_KEY, COLLAPSE_KEY, SAVEDTABS_KEY], (raw) => {
-            if (chrome.runtime.lastError) {
-                console.warn('[storage] loadAll error:', chrome.runtime.lastError.message);
-                resolve({ tree: [], settings: { ...DEFAULT_SETTINGS }, collapsed: [], savedTabs: [] });
-                return;
-            }
-            const tree      = normalizeTree(raw[STORAGE_KEY]);
-            const settings  = mergeSettings(raw[SETTINGS_KEY] || {});
-            const collapsed = Array.isArray(raw[COLLAPSE_KEY]) ? raw[COLLAPSE_KEY] : [];
-            const savedTabs = Array.isArray(raw[SAVEDTABS_KEY]) ? raw[SAVEDTABS_KEY] : [];
-
-            cache.tree      = clone(tree);
-            cache.settings  = { ...settings };
-            cache.collapsed = [...collapsed];
-            cache.savedTabs = [...savedTabs];
+        chrome.storage.local.get(WORKSPACES_KEY, (meta) => {
+            const workspaces = normalizeWorkspaces(chrome.runtime.lastError ? null : meta[WORKSPACES_KEY]);
+            const keys = workspaceKeys(workspaces.active);
+            chrome.storage.local.get([keys.tree, SETTINGS_KEY, keys.collapsed, keys.savedTabs], (raw) => {
+                if (chrome.runtime.lastError) {
+                    console.warn('[storage] loadAll error:', chrome.runtime.lastError.message);
+                    resolve({ tree: [], settings: { ...DEFAULT_SETTINGS }, collapsed: [], savedTabs: [], workspaces });
+                    return;
+                }
+                const { tree, collapsed, savedTabs } = _readWorkspaceData(raw, keys);
+                const settings = mergeSettings(raw[SETTINGS_KEY] || {});
 
-            resolve({ tree, settings, collapsed, savedTabs });
+                cache.tree       = clone(tree);
+                cache.settings   = { ...settings };
+                cache.collapsed  = [...collapsed];
+                cache.savedTabs  = [...savedTabs];
+                cache.workspaces = workspaces;
+
+                resolve({ tree, settings, collapsed, savedTabs, workspaces });
+            });
         });
     });
 }
 
-export function saveTree(tree) {
-    return new Promise((resolve) => {
-        chrome.storage.local.set({ [BACKUP_KEY]: cache.tree, [STORAGE_KEY]: tree }, () => {
-            cache.tree = clone(tree);
-            resolve();
+export function hashTree(tree) {
+    const str = JSON.stringify(tree ?? []);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+function _pruneHistory(list, now) {
+    const seen = new Set();
+    const result = [];
+    let bytes = 0;
+    for (const snap of list) {
+        if (!snap || !Array.isArray(snap.tree) || typeof snap.ts !== 'number') continue;
+        if (now - snap.ts > HISTORY_MAX_AGE_MS) continue;
+        const hash = snap.hash || hashTree(snap.tree);
+        if (seen.has(hash)) continue;
+        const size = JSON.stringify(snap.tree).length;
+        if (result.length && bytes + size > HISTORY_MAX_BYTES) continue;
+        bytes += size;
+        seen.add(hash);
+        result.push({ ...snap, hash });
+        if (result.length >= HISTORY_MAX_COUNT) break;
+    }
+    return result;
+}
+
+function _readHistory(raw, key = HISTORY_KEY) {
+    const history = Array.isArray(raw?.[key]) ? raw[key] : [];
+    const legacy  = key === HISTORY_KEY ? raw?.[BACKUP_KEY] : null;
+    if (!history.length && Array.isArray(legacy) && legacy.length) {
+        return [{ id: uid(), ts: Date.now(), hash: hashTree(legacy), tree: legacy }];
+    }
+    return history;
+}
+
+let _treeQueue = Promise.resolve();
+
+// Popup, options and background all write the tree; Web Locks serialize the
+// read-modify-write across them, the promise chain covers contexts without it.
+function _withTreeLock(task) {
+    if (globalThis.navigator?.locks) return navigator.locks.request(TREE_LOCK, task);
+    const run = _treeQueue.then(task, task);
+    _treeQueue = run.catch(() => {});
+    return run;
+}
+
+function _get(keys) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.local.get(keys, (raw) => {
+            if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+            else resolve(raw);
         });
     });
 }
 
+function _set(items) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.local.set(items, () => {
+            if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+            else resolve();
+        });
+    });
+}
+
+// Rejects when the tree itself could not be written. The history snapshot is
+// written afterwards and only best-effort, so a full quota never blocks a save.
+export function saveTree(tree, workspaceId = cache.workspaces.active) {
+    const keys = workspaceKeys(workspaceId);
+    return _withTreeLock(async () => {
+        const raw      = await _get([keys.history, BACKUP_KEY, keys.tree]);
+        const now      = Date.now();
+        const previous = raw?.[keys.tree];
+        let history    = _readHistory(raw, keys.history);
+        if (Array.isArray(previous) && previous.length) {
+            const hash = hashTree(previous);
+            if (hash !== hashTree(tree)) history = [{ id: uid(), ts: now, hash, tree: previous }, ...history];
+        }
+        history = _pruneHistory(history, now);
+        await _set({ [keys.tree]: tree });
+        if (workspaceId === cache.workspaces.active) cache.tree = clone(tree);
+        try {
+            await _set({ [keys.history]: history });
+            chrome.storage.local.remove(BACKUP_KEY);
+        } catch (err) {
+            console.warn('[storage] history save failed:', err.message);
+        }
+    });
+}
+
 export function saveSettings(settings) {
     return new Promise((resolve) => {
-        chrome.storage.local.set({ [SETTINGS_KEY]: settings }, () => {
-            cache.settings = { ...settings };
-            resolve();
-        });
+        cache.settings = { ...settings };
+        chrome.storage.local.set({ [SETTINGS_KEY]: settings }, () => resolve());
     });
 }
 
 export function saveCollapsed(ids) {
     return new Promise((resolve) => {
-        chrome.storage.local.set({ [COLLAPSE_KEY]: ids }, () => {
-            cache.collapsed = [...ids];
-            resolve();
-        });
+        cache.collapsed = [...ids];
+        chrome.storage.local.set({ [_activeKeys().collapsed]: ids }, () => resolve());
     });
 }
 
 export function saveSavedTabs(tabs) {
     return new Promise((resolve) => {
-        chrome.storage.local.set({ [SAVEDTABS_KEY]: tabs }, () => {
-            cache.savedTabs = [...tabs];
-            resolve();
+        cache.savedTabs = [...tabs];
+        chrome.storage.local.set({ [_activeKeys().savedTabs]: tabs }, () => resolve());
+    });
+}
+
+export function loadHistory() {
+    const key = _activeKeys().history;
+    return new Promise((resolve) => {
+        chrome.storage.local.get([key, BACKUP_KEY], (raw) => {
+            if (chrome.runtime.lastError) { resolve([]); return; }
+            const history = _pruneHistory(_readHistory(raw, key), Date.now());
+            resolve(history.map(snap => ({ ...snap, tree: normalizeTree(snap.tree) })));
+        });
+    });
+}
+
+export function loadWorkspaces() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get(WORKSPACES_KEY, (raw) => {
+            resolve(normalizeWorkspaces(chrome.runtime.lastError ? null : raw[WORKSPACES_KEY]));
+        });
+    });
+}
+
+function _saveWorkspaces(workspaces, extra = {}) {
+    return new Promise((resolve) => {
+        const normalized = normalizeWorkspaces(workspaces);
+        if (normalized.active === cache.workspaces.active) cache.workspaces = normalized;
+        chrome.storage.local.set({ ...extra, [WORKSPACES_KEY]: normalized }, () => resolve(normalized));
+    });
+}
+
+export function loadWorkspaceData(id) {
+    const keys = workspaceKeys(id);
+    return new Promise((resolve) => {
+        chrome.storage.local.get([keys.tree, keys.collapsed, keys.savedTabs], (raw) => {
+            resolve(_readWorkspaceData(chrome.runtime.lastError ? null : raw, keys));
+        });
+    });
+}
+
+export async function createWorkspace(title, data = {}) {
+    const workspaces = await loadWorkspaces();
+    const id   = 'ws-' + uid();
+    const keys = workspaceKeys(id);
+    await _saveWorkspaces({ ...workspaces, list: [...workspaces.list, { id, title }] }, {
+        [keys.tree]:      normalizeTree(data.tree),
+        [keys.collapsed]: Array.isArray(data.collapsed) ? data.collapsed : [],
+        [keys.savedTabs]: Array.isArray(data.savedTabs) ? data.savedTabs : []
+    });
+    return id;
+}
+
+export async function duplicateWorkspace(id, title) {
+    return createWorkspace(title, await loadWorkspaceData(id));
+}
+
+export async function renameWorkspace(id, title) {
+    const workspaces = await loadWorkspaces();
+    const list = workspaces.list.map(ws => ws.id === id ? { ...ws, title } : ws);
+    return _saveWorkspaces({ ...workspaces, list });
+}
+
+export async function deleteWorkspace(id) {
+    const workspaces = await loadWorkspaces();
+    if (workspaces.list.length <= 1) return workspaces;
+    const list = workspaces.list.filter(ws => ws.id !== id);
+    let updated;
+    if (workspaces.active === id) ({ workspaces: updated } = await switchWorkspace(list[0].id, { ...workspaces, list }));
+    else updated = await _saveWorkspaces({ ...workspaces, list });
+    const keys = workspaceKeys(id);
+    await new Promise((resolve) => {
+        chrome.storage.local.remove([keys.tree, keys.collapsed, keys.savedTabs, keys.history], () => resolve());
+    });
+    return updated;
+}
+
+export async function restoreWorkspaces(entries, active) {
+    const current    = await loadWorkspaces();
+    const workspaces = normalizeWorkspaces({ active, list: entries.map(e => ({ id: e.id, title: e.title })) });
+    const stale      = current.list.filter(ws => !findWorkspace(workspaces, ws.id)).flatMap(ws => Object.values(workspaceKeys(ws.id)));
+    cache.workspaces = workspaces;
+    await new Promise((resolve) => chrome.storage.local.remove(stale, () => resolve()));
+    await _saveWorkspaces(workspaces);
+    for (const entry of entries) {
+        const keys = workspaceKeys(entry.id);
+        await saveTree(entry.tree, entry.id);
+        await new Promise((resolve) => {
+            chrome.storage.local.set({ [keys.collapsed]: entry.collapsed, [keys.savedTabs]: entry.sessions }, () => resolve());
+        });
+    }
+    return loadAll();
+}
+
+export async function switchWorkspace(id, workspaces) {
+    workspaces = normalizeWorkspaces({ ...(workspaces || await loadWorkspaces()), active: id });
+    cache.workspaces = workspaces;
+    await _saveWorkspaces(workspaces);
+    return loadAll();
+}
+
+export function loadUsage() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get(USAGE_KEY, (raw) => {
+            if (chrome.runtime.lastError) { resolve({}); return; }
+            resolve(normalizeUsage(raw[USAGE_KEY]));
+        });
+    });
+}
+
+export function saveUsage(usage) {
+    return new Promise((resolve) => {
+        chrome.storage.local.set({ [USAGE_KEY]: normalizeUsage(usage) }, () => resolve());
+    });
+}
+
+export function recordVisits(urls) {
+    return new Promise((resolve) => {
+        chrome.storage.local.get(USAGE_KEY, (raw) => {
+            const usage = addVisits(normalizeUsage(raw?.[USAGE_KEY]), urls);
+            chrome.storage.local.set({ [USAGE_KEY]: usage }, () => resolve(usage));
+        });
+    });
+}
+
+export function clearUsage() {
+    return new Promise((resolve) => {
+        chrome.storage.local.remove(USAGE_KEY, () => resolve());
+    });
+}
+
+export function loadLinkHealth() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get(LINK_HEALTH_KEY, (raw) => {
+            if (chrome.runtime.lastError) { resolve({}); return; }
+            resolve(normalizeLinkHealth(raw[LINK_HEALTH_KEY]));
         });
     });
 }
 
-export function loadBackup() {
+export function saveLinkHealth(health) {
+    return new Promise((resolve) => {
+        chrome.storage.local.set({ [LINK_HEALTH_KEY]: normalizeLinkHealth(health) }, () => resolve());
+    });
+}
+
+export function loadLiveWindows() {
     return new Promise((resolve) => {
-        chrome.storage.local.get([BACKUP_KEY], (raw) => {
-            resolve(normalizeTree(raw?.[BACKUP_KEY]));
+        chrome.storage.local.get(LIVE_WINDOWS_KEY, (raw) => {
+            const live = chrome.runtime.lastError ? null : raw[LIVE_WINDOWS_KEY];
+            resolve(live && typeof live === 'object' && !Array.isArray(live) ? live : {});
         });
     });
 }
 
+export function saveLiveWindows(live) {
+    return new Promise((resolve) => {
+        chrome.storage.local.set({ [LIVE_WINDOWS_KEY]: live }, () => resolve());
+    });
+}
+
+export function loadRecentFolders() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get(RECENT_FOLDERS_KEY, (raw) => {
+            if (chrome.runtime.lastError) { resolve([]); return; }
+            const ids = raw[RECENT_FOLDERS_KEY];
+            resolve(Array.isArray(ids) ? ids.filter(id => typeof id === 'string') : []);
+        });
+    });
+}
+
+export function pushRecentFolder(folderId) {
+    return new Promise((resolve) => {
+        if (!folderId) { resolve(); return; }
+        chrome.storage.local.get(RECENT_FOLDERS_KEY, (raw) => {
+            const ids = Array.isArray(raw?.[RECENT_FOLDERS_KEY]) ? raw[RECENT_FOLDERS_KEY] : [];
+            const updated = [folderId, ...ids.filter(id => id !== folderId)].slice(0, RECENT_FOLDERS_MAX);
+            chrome.storage.local.set({ [RECENT_FOLDERS_KEY]: updated }, () => resolve());
+        });
+    });
+}
+
+const _subscribers = new Set();
+let _listening = false;
+
+function _sameJson(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function _notify(update) {
+    for (const listener of _subscribers) {
+        try { listener(update); } catch (err) { console.warn('[storage] subscriber error:', err); }
+    }
+}
+
+function _onStorageChanged(changes, area) {
+    if (area !== 'local') return;
+    if (WORKSPACES_KEY in changes) {
+        const workspaces = normalizeWorkspaces(changes[WORKSPACES_KEY].newValue);
+        if (workspaces.active !== cache.workspaces.active) {
+            const switchedFrom = cache.workspaces.active;
+            loadAll().then(({ tree, collapsed, savedTabs }) => {
+                _notify({ workspaces, switchedFrom, tree, collapsed, savedTabs });
+            });
+            return;
+        }
+        if (!_sameJson(workspaces, cache.workspaces)) {
+            cache.workspaces = workspaces;
+            _notify({ workspaces });
+        }
+    }
+    const keys   = _activeKeys();
+    const update = {};
+    if (keys.tree in changes) {
+        const tree = normalizeTree(changes[keys.tree].newValue);
+        if (hashTree(tree) !== hashTree(normalizeTree(cache.tree))) {
+            cache.tree  = clone(tree);
+            update.tree = tree;
+        }
+    }
+    if (SETTINGS_KEY in changes) {
+        const settings = mergeSettings(changes[SETTINGS_KEY].newValue || {});
+        if (!_sameJson(settings, mergeSettings(cache.settings))) {
+            cache.settings  = { ...settings };
+            update.settings = settings;
+        }
+    }
+    if (keys.savedTabs in changes) {
+        const savedTabs = Array.isArray(changes[keys.savedTabs].newValue) ? changes[keys.savedTabs].newValue : [];
+        if (!_sameJson(savedTabs, cache.savedTabs)) {
+            cache.savedTabs  = [...savedTabs];
+            update.savedTabs = savedTabs;
+        }
+    }
+    if (keys.collapsed in changes) {
+        const collapsed = Array.isArray(changes[keys.collapsed].newValue) ? changes[keys.collapsed].newValue : [];
+        if (!_sameJson(collapsed, cache.collapsed)) {
+            cache.collapsed  = [...collapsed];
+            update.collapsed = collapsed;
+        }
+    }
+    if (USAGE_KEY in changes) {
+        update.usage = normalizeUsage(changes[USAGE_KEY].newValue);
+    }
+    if (Object.keys(update).length) _notify(update);
+}
+
+export function subscribe(listener) {
+    if (!_listening) {
+        chrome.storage.onChanged.addListener(_onStorageChanged);
+        _listening = true;
+    }
+    _subscribers.add(listener);
+    return () => _subscribers.delete(listener);
+}
+
 export function getCachedTree()      { return cache.tree; }
 export function getCachedSettings()  { return cache.settings; }
 export function getCachedCollapsed() { return cache.collapsed; }
-export function getCachedSavedTabs() { return cache.savedTabs; }
\ No newline at end of file
+export function getCachedSavedTabs() { return cache.savedTabs; }
+export function getCachedWorkspaces() { return cache.workspaces; }
\ No newline at end of file
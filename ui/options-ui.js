@@ -1,6 +1,14 @@
-import { uid, safeArray, clone, filterTree, filterTreeDeep, findParentAndIndex, findLinkParent, swap, findLinkDeep } from '../core/tree.js';
+import { uid, safeArray, clone, isSmartFolder, filterTree, filterTreeDeep, findParentAndIndex, findLinkParent, swap, findLinkDeep, countTree, diffTrees, parseTags, ensureRootFolder, canMoveItem, moveItem, findNode, SORT_KEYS } from '../core/tree.js';
 import { debounce } from '../utils/debounce.js';
-import { t } from '../utils/i18n.js';
+import { createUndoStack } from '../core/undo.js';
+import { renameSession, removeSessionTab, moveSessionTab } from '../core/sessions.js';
+import { HEALTH_KINDS } from '../core/linkhealth.js';
+import { smartFolderLinks } from '../core/smart.js';
+import { setPinned } from '../core/pinned.js';
+import { selectionRoots, selectionLinks, selectionTree, removeItems, moveItemsTo, tagItems } from '../core/bulk.js';
+import { pasteClipboard, clipboardEntries } from '../core/clipboard.js';
+import { sortFolder, sortTree } from '../core/sort.js';
+import { t, getLanguage } from '../utils/i18n.js';
 
 const $ = id => document.getElementById(id);
 
@@ -14,7 +22,15 @@ const IC = {
   addL:     '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/><line x1="12" y1="18" x2="12" y2="22"/><line x1="10" y1="20" x2="14" y2="20"/></svg>',
   trash:    '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg>',
   drag:     '<svg width="8" height="14" viewBox="0 0 8 14" fill="currentColor"><circle cx="2" cy="2" r="1.2"/><circle cx="6" cy="2" r="1.2"/><circle cx="2" cy="7" r="1.2"/><circle cx="6" cy="7" r="1.2"/><circle cx="2" cy="12" r="1.2"/><circle cx="6" cy="12" r="1.2"/></svg>',
+  session:  '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><rect x="2" y="7" width="20" height="14" rx="2"/><path d="M16 7V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v2"/></svg>',
+  smart:    '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/><circle cx="11.5" cy="13.5" r="2.5"/><line x1="13.3" y1="15.3" x2="15" y2="17"/></svg>',
+  open:     '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/><polyline points="15 3 21 3 21 9"/><line x1="10" y1="14" x2="21" y2="3"/></svg>',
+  offline:  '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><polyline points="21 8 21 21 3 21 3 8"/><rect x="1" y="3" width="22" height="5"/><line x1="10" y1="12" x2="14" y2="12"/></svg>',
   restore:  '<svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/><path d="M3 3v5h5"/></svg>',
+  pin:      '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="17" x2="12" y2="22"/><path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24z"/></svg>',
+  copy:     '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><rect x="9" y="9" width="13" height="13" rx="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>',
+  pasteAfter: '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><polyline points="15 10 20 15 15 20"/><path d="M4 4v7a4 4 0 0 0 4 4h12"/></svg>',
+  sort:     '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><line x1="4" y1="6" x2="13" y2="6"/><line x1="4" y1="12" x2="11" y2="12"/><line x1="4" y1="18" x2="9" y2="18"/><polyline points="15 15 18 18 21 15"/><line x1="18" y1="6" x2="18" y2="18"/></svg>',
   addSub:   '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/><line x1="12" y1="18" x2="12" y2="22"/><line x1="10" y1="20" x2="14" y2="20"/><line x1="3" y1="12" x2="7" y2="12"/></svg>'
 };
 
@@ -40,18 +56,26 @@ function mkBtn(svgStr, title_, cls, handler) {
 let _state        = null;
 let _currentTree  = [];
 let _currentQuery = '';
-let _movingNode   = null;
-let _movingLink   = null;
+let _clipboard    = null;
 let _unsaved      = false;
 let _autosaveTimer= null;
 let _dragData     = null;
 
+const _undoStack  = createUndoStack(200);
+const _expandedSessions = new Set();
+let _snapshotIds = new Set();
+const _selected = new Set();
+let _selectAnchor = null;
+
 export function mount(container, state) {
   _state       = state;
   _currentTree = state.tree;
   _wireToolbar(state);
   _wireSettings(state);
   _wireSearch();
+  _wireUndo();
+  if ($('tree')) _wireRootDrop($('tree'));
+  _wireSelection();
   renderTree(_currentTree, '');
 }
 export function renderTree(tree, query) {
@@ -80,21 +104,25 @@ export function renderTree(tree, query) {
     addFolderBtn.innerHTML = `<svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/><line x1="12" y1="11" x2="12" y2="17"/><line x1="9" y1="14" x2="15" y2="14"/></svg>`;
     addFolderBtn.appendChild(document.createTextNode(t('addFolderBtn')));
     addFolderBtn.addEventListener('click', () => {
-      _currentTree = safeArray(_currentTree);
-      _currentTree.push({ id: uid(), type: 'folder', title: t('newFolder'), children: [], links: [] });
-      setUnsaved(true);
+      _edit(() => {
+        _currentTree = safeArray(_currentTree);
+        _currentTree.push({ id: uid(), type: 'folder', title: t('newFolder'), children: [], links: [] });
+      });
       renderTree(_currentTree);
     });
 
     actionsEl.appendChild(addFolderBtn);
     emptyDiv.append(titleEl, hintEl, actionsEl);
     root.appendChild(emptyDiv);
+    _renderSelectionBar();
+    _renderClipboardBar();
     return;
   }
   const toRender = _currentQuery.trim() ? filterTreeDeep(tree, _currentQuery) : tree;
   const frag = document.createDocumentFragment();
 
   const rootFolder = toRender.find(n => n.__isRoot);
+  let rootSection = null;
   if (rootFolder && safeArray(rootFolder.links).length > 0) {
     const section = document.createElement('div');
     section.className = 'root-links-section';
@@ -107,14 +135,18 @@ export function renderTree(tree, query) {
     linksWrap.style.marginLeft = '0';
     for (const link of safeArray(rootFolder.links)) linksWrap.appendChild(_createLinkRow(link, 0));
     section.appendChild(linksWrap);
-    frag.appendChild(section);
+    rootSection = section;
   }
 
+  if (rootSection && !rootFolder.foldersFirst) frag.appendChild(rootSection);
   for (const n of safeArray(toRender)) {
     if (n.__isRoot) continue;
     _renderNode(n, frag);
   }
+  if (rootSection && rootFolder.foldersFirst) frag.appendChild(rootSection);
   root.appendChild(frag);
+  _renderSelectionBar();
+  _renderClipboardBar();
 }
 
 export function setUnsaved(flag) {
@@ -129,24 +161,300 @@ export function setupAutosave(enabled, saveFn) {
   _autosaveTimer = setInterval(() => { if (!_unsaved) return; saveFn(); }, 30000);
 }
 
+export function replaceTree(tree) {
+  _edit(() => { _currentTree = tree; });
+  renderTree(_currentTree);
+}
+
+export function appendFolder(folder) {
+  _edit(() => {
+    _currentTree = safeArray(_currentTree);
+    _currentTree.push(folder);
+  });
+  renderTree(_currentTree);
+}
+
+export function loadTree(tree) {
+  _currentTree = tree;
+  _undoStack.clear();
+  _updateUndoButtons();
+  setUnsaved(false);
+  renderTree(_currentTree);
+}
+
+export function undo() {
+  if (!_undoStack.undo()) return;
+  _updateUndoButtons();
+}
+
+export function redo() {
+  if (!_undoStack.redo()) return;
+  _updateUndoButtons();
+}
+
+function _edit(mutate, group) {
+  const before = clone(_currentTree);
+  if (mutate() === false) return;
+  const after = clone(_currentTree);
+  _undoStack.record({
+    group,
+    undo: () => _restoreTree(before),
+    redo: () => _restoreTree(after)
+  });
+  setUnsaved(true);
+  _updateUndoButtons();
+}
+
+function _restoreTree(snapshot) {
+  _currentTree = clone(snapshot);
+  setUnsaved(true);
+  renderTree(_currentTree);
+}
+
+function _updateUndoButtons() {
+  const undoBtn = $('undoBtn');
+  const redoBtn = $('redoBtn');
+  if (undoBtn) undoBtn.disabled = !_undoStack.canUndo();
+  if (redoBtn) redoBtn.disabled = !_undoStack.canRedo();
+}
+
+function _wireSelection() {
+  $('tree')?.addEventListener('click', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, button, a, select')) return;
+    const box = e.target.closest('.node-row, .link-row')?.querySelector(':scope > .row-select');
+    if (!box) return;
+    box.checked = !box.checked;
+    _setSelected(box.dataset.id, box.checked);
+    _selectAnchor = box.dataset.id;
+    _renderSelectionBar();
+  });
+  document.addEventListener('keydown', e => {
+    if (e.key !== 'Escape' || !_selected.size || e.target.closest?.('input, textarea, select')) return;
+    _selected.clear();
+    renderTree(_currentTree);
+  });
+}
+
+function _selectBox(id) {
+  const box = document.createElement('input');
+  box.type = 'checkbox';
+  box.className = 'row-select';
+  box.dataset.id = id;
+  box.checked = _selected.has(id);
+  box.title = t('selectRowHint');
+  box.addEventListener('click', e => {
+    e.stopPropagation();
+    if (e.shiftKey && _selectAnchor) _selectRange(_selectAnchor, id, box.checked);
+    else _setSelected(id, box.checked);
+    _selectAnchor = id;
+    _renderSelectionBar();
+  });
+  return box;
+}
+
+function _setSelected(id, on) {
+  if (on) _selected.add(id); else _selected.delete(id);
+  for (const box of document.querySelectorAll(`.row-select[data-id="${CSS.escape(id)}"]`)) {
+    box.checked = on;
+    box.parentElement.classList.toggle('selected', on);
+  }
+}
+
+function _selectRange(fromId, toId, on) {
+  const ids = Array.from($('tree').querySelectorAll('.row-select'), box => box.dataset.id);
+  const a = ids.indexOf(fromId);
+  const b = ids.indexOf(toId);
+  if (a < 0 || b < 0) { _setSelected(toId, on); return; }
+  for (const id of ids.slice(Math.min(a, b), Math.max(a, b) + 1)) _setSelected(id, on);
+}
+
+function _renderSelectionBar() {
+  const bar = $('selectionBar');
+  if (!bar) return;
+  for (const id of [..._selected]) {
+    if (!findNode(_currentTree, id) && !findLinkDeep(_currentTree, id)) _selected.delete(id);
+  }
+  bar.innerHTML = '';
+  bar.hidden = !_selected.size;
+  if (!_selected.size) return;
+
+  const count = document.createElement('span');
+  count.className = 'selection-count';
+  count.textContent = t('selectedCount', _selected.size);
+
+  const move = document.createElement('select');
+  move.className = 'setting-select selection-move';
+  move.title = t('bulkMoveHint');
+  move.appendChild(new Option(t('bulkMoveTo'), ''));
+  move.appendChild(new Option(t('savePageRoot'), '__root__'));
+  (function addFolders(nodes, depth) {
+    for (const n of safeArray(nodes)) {
+      if (!n || n.__isRoot || isSmartFolder(n) || _selected.has(n.id)) continue;
+      move.appendChild(new Option('  '.repeat(depth) + (n.title || t('untitled')), n.id));
+      addFolders(n.children, depth + 1);
+    }
+  })(_currentTree, 0);
+  move.addEventListener('change', () => {
+    if (!move.value) return;
+    const folderId = move.value === '__root__' ? null : move.value;
+    _edit(() => { if (!moveItemsTo(_currentTree, _selected, folderId)) return false; });
+    renderTree(_currentTree);
+  });
+
+  const urls = () => selectionLinks(_currentTree, _selected).map(l => l.url).filter(Boolean);
+
+  bar.append(
+    count,
+    move,
+    _smallBtn(t('bulkTag'), t('bulkTagHint'), () => {
+      const tags = parseTags(prompt(t('bulkTagPrompt')) || '');
+      if (!tags.length) return;
+      _edit(() => { if (!tagItems(_currentTree, _selected, tags)) return false; });
+      renderTree(_currentTree);
+    }),
+    _smallBtn(t('copy'), t('bulkCopyHint'), () => {
+      _setClipboard('copy', selectionRoots(_currentTree, _selected).map(({ type, node }) => ({ type, id: node.id })));
+    }),
+    _smallBtn(t('cut'), t('bulkCutHint'), () => {
+      _setClipboard('cut', selectionRoots(_currentTree, _selected).map(({ type, node }) => ({ type, id: node.id })));
+    }),
+    _smallBtn(t('bulkCopyUrls'), '', () => {
+      const list = urls();
+      if (list.length) _state?.onCopyUrls?.(list);
+    }),
+    _smallBtn(t('bulkExport'), t('bulkExportHint'), () => {
+      _state?.onExportSelection?.(selectionTree(_currentTree, _selected));
+    }),
+    _smallBtn(t('openAll'), '', () => {
+      const list = urls();
+      if (list.length) _state?.onOpenLinks?.(list);
+    }),
+    _smallBtn(t('bulkDelete'), '', () => {
+      if (!confirm(t('bulkDeleteConfirm', _selected.size))) return;
+      _edit(() => { if (!removeItems(_currentTree, _selected)) return false; });
+      _selected.clear();
+      renderTree(_currentTree);
+    }, 'btn btn-sm btn-danger-sm'),
+    _smallBtn(t('bulkClear'), '', () => {
+      _selected.clear();
+      renderTree(_currentTree);
+    })
+  );
+}
+
+function _wireUndo() {
+  _updateUndoButtons();
+  document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.isContentEditable || e.target.closest?.('input, textarea, select')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey)      { e.preventDefault(); undo(); }
+    else if (key === 'z' || key === 'y') { e.preventDefault(); redo(); }
+  });
+}
+
+export function setSnapshotIds(ids) {
+  _snapshotIds = new Set(ids);
+  renderTree(_currentTree);
+}
+
 export function getCurrentTree() { return _currentTree; }
 export function isUnsaved()      { return _unsaved; }
 
 function _renderNode(node, container) {
   if (!node) return;
+  if (isSmartFolder(node)) { _renderSmartNode(node, container); return; }
   const wrap = document.createElement('div');
   wrap.className = 'folder';
   wrap.dataset.nodeId = node.id;
   wrap.appendChild(_createNodeRow(node));
   const linksWrap = document.createElement('div');
   linksWrap.className = 'links';
-  for (const link of safeArray(node.links)) linksWrap.appendChild(_createLinkRow(link, 0));
-  for (const child of safeArray(node.children)) _renderNode(child, linksWrap);
+  const renderLinks   = () => { for (const link of safeArray(node.links)) linksWrap.appendChild(_createLinkRow(link, 0)); };
+  const renderFolders = () => { for (const child of safeArray(node.children)) _renderNode(child, linksWrap); };
+  if (node.foldersFirst) { renderFolders(); renderLinks(); } else { renderLinks(); renderFolders(); }
   wrap.appendChild(linksWrap);
   _wireDrag(wrap, 'folder', node.id);
   container.appendChild(wrap);
 }
 
+function _isCut(id) {
+  return _clipboard?.mode === 'cut' && _clipboard.items.some(item => item.id === id);
+}
+
+function _setClipboard(mode, items) {
+  const entries = clipboardEntries(_currentTree, items, mode);
+  _clipboard = entries.length ? { mode, items: entries } : null;
+  renderTree(_currentTree);
+}
+
+function _clipBtns(item) {
+  return [
+    mkBtn(IC.copy, t('copy'), 'icon-btn-sm', () => _setClipboard('copy', [item])),
+    mkBtn(IC.cut,  t('cut'),  _isCut(item.id) ? 'icon-btn-sm icon-btn-active' : 'icon-btn-sm', () => _setClipboard('cut', [item]))
+  ];
+}
+
+function _pasteBtns(target) {
+  if (!_clipboard) return [];
+  const inside = target.type === 'folder' ? t('pasteInside') : t('pasteAsSubLink');
+  return [
+    mkBtn(IC.paste,      inside,          'icon-btn-sm', () => _paste(target, 'inside')),
+    mkBtn(IC.pasteAfter, t('pasteAfter'), 'icon-btn-sm', () => _paste(target, 'after'))
+  ];
+}
+
+function _paste(target, position) {
+  const clip = _clipboard;
+  if (!clip) return;
+  let count = 0;
+  _edit(() => {
+    count = pasteClipboard(_currentTree, clip, target, position);
+    if (!count) return false;
+  });
+  if (count && clip.mode === 'cut') _clipboard = null;
+  renderTree(_currentTree);
+}
+
+function _renderClipboardBar() {
+  const bar = $('clipboardBar');
+  if (!bar) return;
+  if (_clipboard?.mode === 'cut') {
+    _clipboard.items = _clipboard.items.filter(item => findNode(_currentTree, item.id) || findLinkDeep(_currentTree, item.id));
+    if (!_clipboard.items.length) _clipboard = null;
+  }
+  bar.innerHTML = '';
+  bar.hidden = !_clipboard;
+  if (!_clipboard) return;
+
+  const label = document.createElement('span');
+  label.className = 'clipboard-label';
+  label.textContent = t(_clipboard.mode === 'cut' ? 'clipboardCut' : 'clipboardCopy', _clipboard.items.length);
+
+  const list = document.createElement('span');
+  list.className = 'clipboard-items';
+  for (const item of _clipboard.items.slice(0, 5)) {
+    const chip = document.createElement('span');
+    chip.className = 'clipboard-item';
+    chip.appendChild(svgEl(item.type === 'folder' ? IC.folder : IC.addL));
+    chip.appendChild(document.createTextNode(item.title || t('untitled')));
+    list.appendChild(chip);
+  }
+  if (_clipboard.items.length > 5) list.appendChild(document.createTextNode(`+${_clipboard.items.length - 5}`));
+
+  bar.append(label, list, _smallBtn(t(_clipboard.mode === 'cut' ? 'cancelCut' : 'clearClipboard'), '', () => {
+    _clipboard = null;
+    renderTree(_currentTree);
+  }));
+}
+
+function _pinBtn(node) {
+  return mkBtn(IC.pin, t(node.pinned ? 'unpin' : 'pin'), node.pinned ? 'icon-btn-sm icon-btn-active' : 'icon-btn-sm', () => {
+    _edit(() => setPinned(_currentTree, node.id, !node.pinned));
+    renderTree(_currentTree);
+  });
+}
+
 function _createNodeRow(node) {
   const row = document.createElement('div');
   row.className = 'node-row';
@@ -165,46 +473,49 @@ function _createNodeRow(node) {
   title.placeholder = t('folderName');
   title.addEventListener('input', debounce(() => {
     const loc = findParentAndIndex(_currentTree, node.id);
-    if (loc) { loc.parentArray[loc.index].title = title.value; setUnsaved(true); }
+    if (loc) _edit(() => { loc.parentArray[loc.index].title = title.value; }, `folder-title:${node.id}`);
   }, 200));
 
+  const sortBtn = mkBtn(IC.sort, node.autoSort ? t('sortAutoOn', t(SORT_LABELS[node.autoSort])) : t('sortFolder'),
+    node.autoSort ? 'icon-btn-sm icon-btn-active' : 'icon-btn-sm', () => _openSortMenu(sortBtn, node.id));
+
   const actions = document.createElement('div');
   actions.className = 'node-actions';
   actions.append(
-    mkBtn(IC.paste, t('pasteHere'),    'icon-btn-sm', () => {
-      const loc = findParentAndIndex(_currentTree, node.id); if (!loc) return;
-      const tgt = loc.parentArray[loc.index];
-      if (_movingNode) { tgt.children=safeArray(tgt.children); tgt.children.push(clone(_movingNode)); _movingNode=null; }
-      else if (_movingLink) { tgt.links=safeArray(tgt.links); tgt.links.push(clone(_movingLink)); _movingLink=null; }
-      setUnsaved(true); renderTree(_currentTree);
-    }),
+    ..._pasteBtns({ type: 'folder', id: node.id }),
     mkBtn(IC.addF,  t('addSubfolder'), 'icon-btn-sm', () => {
       const loc = findParentAndIndex(_currentTree, node.id); if (!loc) return;
       const tgt = loc.parentArray[loc.index];
-      tgt.children=safeArray(tgt.children);
-      tgt.children.push({ id:uid(), type:'folder', title:t('newFolder'), children:[], links:[] });
-      setUnsaved(true); renderTree(_currentTree);
+      _edit(() => {
+        tgt.children=safeArray(tgt.children);
+        tgt.children.push({ id:uid(), type:'folder', title:t('newFolder'), children:[], links:[] });
+      });
+      renderTree(_currentTree);
     }),
     mkBtn(IC.addL,  t('addLink'),      'icon-btn-sm', () => {
       const loc = findParentAndIndex(_currentTree, node.id); if (!loc) return;
       const tgt = loc.parentArray[loc.index];
-      tgt.links=safeArray(tgt.links);
-      tgt.links.push({ id:uid(), title:'', url:'', description:'' });
-      setUnsaved(true); renderTree(_currentTree);
+      _edit(() => {
+        tgt.links=safeArray(tgt.links);
+        tgt.links.push({ id:uid(), title:'', url:'', description:'', added:Date.now() });
+      });
+      renderTree(_currentTree);
+    }),
+    mkBtn(IC.session, t('saveAsSession'), 'icon-btn-sm', () => {
+      const loc = findParentAndIndex(_currentTree, node.id); if (!loc) return;
+      _state?.onSaveFolderAsSession?.(clone(loc.parentArray[loc.index]));
     }),
+    _pinBtn(node),
+    sortBtn,
     mkBtn(IC.up,    t('moveUp'),       'icon-btn-sm', () => {
       const loc = findParentAndIndex(_currentTree, node.id); if (!loc||loc.index===0) return;
-      swap(loc.parentArray, loc.index, loc.index-1); setUnsaved(true); renderTree(_currentTree);
+      _edit(() => swap(loc.parentArray, loc.index, loc.index-1)); renderTree(_currentTree);
     }),
     mkBtn(IC.down,  t('moveDown'),     'icon-btn-sm', () => {
       const loc = findParentAndIndex(_currentTree, node.id); if (!loc||loc.index>=loc.parentArray.length-1) return;
-      swap(loc.parentArray, loc.index, loc.index+1); setUnsaved(true); renderTree(_currentTree);
-    }),
-    mkBtn(IC.cut,   t('cut'),          'icon-btn-sm', () => {
-      const loc = findParentAndIndex(_currentTree, node.id); if (!loc) return;
-      _movingNode=clone(loc.parentArray[loc.index]); loc.parentArray.splice(loc.index,1); _movingLink=null;
-      setUnsaved(true); renderTree(_currentTree);
+      _edit(() => swap(loc.parentArray, loc.index, loc.index+1)); renderTree(_currentTree);
     }),
+    ..._clipBtns({ type: 'folder', id: node.id }),
     (() => {
       const b=document.createElement('button'); b.className='icon-btn-sm icon-btn-danger'; b.title=t('deleteFolder2');
       b.appendChild(svgEl(IC.trash));
@@ -212,16 +523,115 @@ function _createNodeRow(node) {
         e.stopPropagation();
         if (!confirm(t('deleteFolder'))) return;
         const loc=findParentAndIndex(_currentTree,node.id); if(!loc) return;
-        loc.parentArray.splice(loc.index,1); setUnsaved(true); renderTree(_currentTree);
+        _edit(() => loc.parentArray.splice(loc.index,1)); renderTree(_currentTree);
       });
       return b;
     })()
   );
 
-  row.append(dh, icon, title, actions);
+  row.append(dh, _selectBox(node.id), icon, title, actions);
+  row.classList.toggle('selected', _selected.has(node.id));
+  row.classList.toggle('cut-pending', _isCut(node.id));
   return row;
 }
 
+function _renderSmartNode(node, container) {
+  const wrap = document.createElement('div');
+  wrap.className = 'folder smart-folder';
+  wrap.dataset.nodeId = node.id;
+
+  const row = document.createElement('div');
+  row.className = 'node-row';
+
+  const dh = document.createElement('span');
+  dh.className = 'drag-handle';
+  dh.appendChild(svgEl(IC.drag));
+
+  const icon = document.createElement('span');
+  icon.className = 'node-icon';
+  icon.title = t('smartFolder');
+  icon.appendChild(svgEl(IC.smart));
+
+  const title = document.createElement('input');
+  title.className = 'title-input';
+  title.value = node.title || '';
+  title.placeholder = t('folderName');
+  title.addEventListener('input', debounce(() => {
+    const loc = findParentAndIndex(_currentTree, node.id);
+    if (loc) _edit(() => { loc.parentArray[loc.index].title = title.value; }, `folder-title:${node.id}`);
+  }, 200));
+
+  const query = document.createElement('input');
+  query.className = 'title-input smart-query';
+  query.value = node.query || '';
+  query.placeholder = t('smartQueryPlaceholder');
+  query.addEventListener('input', debounce(() => {
+    const loc = findParentAndIndex(_currentTree, node.id);
+    if (!loc) return;
+    _edit(() => { loc.parentArray[loc.index].query = query.value; }, `smart-query:${node.id}`);
+    _renderSmartLinks(loc.parentArray[loc.index], linksWrap);
+  }, 300));
+
+  const move = (delta) => {
+    const loc = findParentAndIndex(_currentTree, node.id);
+    const ni = loc ? loc.index + delta : -1;
+    if (!loc || ni < 0 || ni >= loc.parentArray.length) return;
+    _edit(() => swap(loc.parentArray, loc.index, ni)); renderTree(_currentTree);
+  };
+
+  const actions = document.createElement('div');
+  actions.className = 'node-actions';
+  actions.append(
+    mkBtn(IC.open, t('openAll'), 'icon-btn-sm', () => {
+      const urls = smartFolderLinks(_currentTree, node).map(l => l.url).filter(Boolean);
+      if (urls.length) _state?.onOpenLinks?.(urls);
+    }),
+    _pinBtn(node),
+    ..._clipBtns({ type: 'folder', id: node.id }),
+    mkBtn(IC.up,   t('moveUp'),   'icon-btn-sm', () => move(-1)),
+    mkBtn(IC.down, t('moveDown'), 'icon-btn-sm', () => move(1)),
+    mkBtn(IC.trash, t('deleteSmartFolder'), 'icon-btn-sm icon-btn-danger', () => {
+      const loc = findParentAndIndex(_currentTree, node.id); if (!loc) return;
+      _edit(() => loc.parentArray.splice(loc.index, 1)); renderTree(_currentTree);
+    })
+  );
+
+  row.append(dh, _selectBox(node.id), icon, title, query, actions);
+  row.classList.toggle('selected', _selected.has(node.id));
+  row.classList.toggle('cut-pending', _isCut(node.id));
+  wrap.appendChild(row);
+
+  const linksWrap = document.createElement('div');
+  linksWrap.className = 'links smart-links';
+  _renderSmartLinks(node, linksWrap);
+  wrap.appendChild(linksWrap);
+
+  _wireDrag(wrap, 'folder', node.id);
+  container.appendChild(wrap);
+}
+
+function _renderSmartLinks(node, linksWrap) {
+  linksWrap.innerHTML = '';
+  const links = smartFolderLinks(_currentTree, node);
+  if (!links.length) {
+    const empty = document.createElement('div');
+    empty.className = 'smart-empty';
+    empty.textContent = node.query.trim() ? t('smartNoMatches') : t('smartNoQuery');
+    linksWrap.appendChild(empty);
+    return;
+  }
+  for (const link of links) {
+    const a = document.createElement('a');
+    a.className = 'smart-link';
+    a.href = link.url;
+    a.target = '_blank';
+    a.rel = 'noopener noreferrer';
+    a.title = link.url;
+    a.textContent = link.title || link.url;
+    linksWrap.appendChild(a);
+  }
+}
+
 function _isValidUrl(v) { try { new URL(v); return true; } catch { return false; } }
 
 function _findLinkInTree(tree, linkId) {
@@ -265,7 +675,7 @@ function _createLinkRow(link, depth = 0) {
   ti.className = 'link-title';
   ti.placeholder = t('titlePlaceholder');
   ti.value = link.title || '';
-  ti.addEventListener('input', debounce(() => { link.title=ti.value; setUnsaved(true); }, 200));
+  ti.addEventListener('input', debounce(() => _edit(() => { link.title=ti.value; }, `link-title:${link.id}`), 200));
 
   const ui = document.createElement('input');
   ui.className = 'link-url';
@@ -273,16 +683,26 @@ function _createLinkRow(link, depth = 0) {
   ui.value = link.url || '';
   ui.classList.toggle('invalid', !!link.url && !_isValidUrl(link.url));
   ui.addEventListener('input', debounce(() => {
-    link.url=ui.value; ui.classList.toggle('invalid', !!ui.value && !_isValidUrl(ui.value)); setUnsaved(true);
+    _edit(() => { link.url=ui.value; }, `link-url:${link.id}`); ui.classList.toggle('invalid', !!ui.value && !_isValidUrl(ui.value));
   }, 200));
 
   const di = document.createElement('input');
   di.className = 'link-desc';
   di.placeholder = t('descPlaceholder');
   di.value = link.description || '';
-  di.addEventListener('input', debounce(() => { link.description=di.value; setUnsaved(true); }, 200));
+  di.addEventListener('input', debounce(() => _edit(() => { link.description=di.value; }, `link-desc:${link.id}`), 200));
+
+  const gi = document.createElement('input');
+  gi.className = 'link-tags';
+  gi.placeholder = t('tagsPlaceholder');
+  gi.value = safeArray(link.tags).join(', ');
+  gi.addEventListener('input', debounce(() => _edit(() => {
+    const tags = parseTags(gi.value);
+    if (tags.length) link.tags = tags; else delete link.tags;
+  }, `link-tags:${link.id}`), 200));
+  gi.addEventListener('change', () => { gi.value = safeArray(link.tags).join(', '); });
 
-  fields.append(ti, ui, di);
+  fields.append(ti, ui, di, gi);
 
   const actions = document.createElement('div');
   actions.className = 'link-row-actions';
@@ -293,41 +713,46 @@ function _createLinkRow(link, depth = 0) {
   addSubBtn.appendChild(svgEl(IC.addSub));
   addSubBtn.addEventListener('click', e => {
     e.stopPropagation();
-    link.children = safeArray(link.children);
-    link.children.push({ id: uid(), title: '', url: '', description: '' });
-    setUnsaved(true);
+    _edit(() => {
+      link.children = safeArray(link.children);
+      link.children.push({ id: uid(), title: '', url: '', description: '', added: Date.now() });
+    });
     renderTree(_currentTree);
   });
 
+  const hasSnapshot = _snapshotIds.has(link.id);
   actions.append(
     addSubBtn,
+    mkBtn(IC.offline, t(hasSnapshot ? 'viewOfflineCopy' : 'saveSnapshot'), hasSnapshot ? 'icon-btn-sm icon-btn-active' : 'icon-btn-sm', () => {
+      if (hasSnapshot) _state.onViewSnapshot?.(link.id); else _state.onSaveSnapshot?.(link);
+    }),
+    _pinBtn(link),
     mkBtn(IC.up,    t('moveUp'),   'icon-btn-sm', () => {
       const p = _findLinkInTree(_currentTree, link.id); if(!p||p.index===0) return;
-      swap(p.parentArray, p.index, p.index-1); setUnsaved(true); renderTree(_currentTree);
+      _edit(() => swap(p.parentArray, p.index, p.index-1)); renderTree(_currentTree);
     }),
     mkBtn(IC.down,  t('moveDown'), 'icon-btn-sm', () => {
       const p = _findLinkInTree(_currentTree, link.id); if(!p||p.index>=p.parentArray.length-1) return;
-      swap(p.parentArray, p.index, p.index+1); setUnsaved(true); renderTree(_currentTree);
-    }),
-    mkBtn(IC.cut,   t('cut'),      'icon-btn-sm', () => {
-      const p = _findLinkInTree(_currentTree, link.id); if(!p) return;
-      _movingLink=clone(p.parentArray[p.index]); p.parentArray.splice(p.index,1); _movingNode=null;
-      setUnsaved(true); renderTree(_currentTree);
+      _edit(() => swap(p.parentArray, p.index, p.index+1)); renderTree(_currentTree);
     }),
+    ..._clipBtns({ type: 'link', id: link.id }),
+    ..._pasteBtns({ type: 'link', id: link.id }),
     (() => {
       const b=document.createElement('button'); b.className='icon-btn-sm icon-btn-danger'; b.title=t('deleteLink');
       b.appendChild(svgEl(IC.trash));
       b.addEventListener('click', e => {
         e.stopPropagation();
         const p = _findLinkInTree(_currentTree, link.id); if(!p) return;
-        p.parentArray.splice(p.index,1); setUnsaved(true); renderTree(_currentTree);
+        _edit(() => p.parentArray.splice(p.index,1)); renderTree(_currentTree);
       });
       return b;
     })()
   );
 
-  row.append(dh, fields, actions);
-  if (depth === 0) _wireDrag(row, 'link', link.id);
+  row.append(dh, _selectBox(link.id), fields, actions);
+  row.classList.toggle('selected', _selected.has(link.id));
+  row.classList.toggle('cut-pending', _isCut(link.id));
+  _wireDrag(row, 'link', link.id);
 
   const container = document.createElement('div');
   container.className = 'link-row-container';
@@ -348,6 +773,30 @@ function _createLinkRow(link, depth = 0) {
 function _clearDropLines() {
   const lines = document.querySelectorAll('.drop-line');
   for (const line of lines) line.remove();
+  for (const el of document.querySelectorAll('.drop-inside')) el.classList.remove('drop-inside');
+}
+
+function _dropPosition(e, el, type) {
+  if (_dragData.type === 'link' && type === 'folder') return 'inside';
+  const head = type === 'folder' ? el.firstElementChild : el;
+  const r = head.getBoundingClientRect();
+  if (type === 'folder' && e.clientY > r.bottom) return 'inside';
+  const ratio = (e.clientY - r.top) / r.height;
+  const nestable = type === 'folder' || $('settingNestedLinks')?.checked;
+  if (!nestable) return ratio < 0.5 ? 'before' : 'after';
+  return ratio < 0.25 ? 'before' : ratio > 0.75 ? 'after' : 'inside';
+}
+
+function _showDropTarget(el, type, position) {
+  _clearDropLines();
+  if (position === 'inside') {
+    (type === 'folder' ? el.firstElementChild : el).classList.add('drop-inside');
+    return;
+  }
+  const anchor = type === 'link' ? el.closest('.link-row-container') || el : el;
+  const line = document.createElement('div');
+  line.className = 'drop-line';
+  anchor.parentNode.insertBefore(line, position === 'after' ? anchor.nextSibling : anchor);
 }
 
 function _wireDrag(el, type, id) {
@@ -356,111 +805,185 @@ function _wireDrag(el, type, id) {
     _dragData = { type, id };
     e.dataTransfer.effectAllowed = 'move';
     el.classList.add('dragging');
-    if (type === 'link') e.stopPropagation();
+    e.stopPropagation();
   });
   el.addEventListener('dragend', () => {
     el.classList.remove('dragging');
     _clearDropLines();
+    _dragData = null;
   });
   el.addEventListener('dragover', e => {
     if (!_dragData) return;
-    e.preventDefault();
     e.stopPropagation();
-    _clearDropLines();
-    const line = document.createElement('div');
-    line.className = 'drop-line';
-    el.parentNode.insertBefore(line, el);
+    const position = _dropPosition(e, el, type);
+    if (!canMoveItem(_currentTree, _dragData, { type, id }, position)) { _clearDropLines(); return; }
+    e.preventDefault();
+    _showDropTarget(el, type, position);
   });
   el.addEventListener('drop', e => {
     e.preventDefault();
     e.stopPropagation();
     _clearDropLines();
-    if (!_dragData || _dragData.id === id) return;
-    _applyDrop(_dragData, { type, id });
+    if (!_dragData) return;
+    _applyDrop(_dragData, { type, id }, _dropPosition(e, el, type));
     _dragData = null;
   });
 }
 
-function _applyDrop(src, target) {
-  if (src.type === 'folder' && target.type === 'folder') {
-    const s = findParentAndIndex(_currentTree, src.id);
-    const t2 = findParentAndIndex(_currentTree, target.id);
-    if (!s || !t2) return;
-    const item = s.parentArray.splice(s.index, 1)[0];
-    const ni = t2.parentArray.findIndex(n => n.id === target.id);
-    t2.parentArray.splice(ni < 0 ? 0 : ni, 0, item);
-
-  } else if (src.type === 'link' && target.type === 'link') {
-    const s = _findLinkInTree(_currentTree, src.id);
-    const t2 = _findLinkInTree(_currentTree, target.id);
-    if (!s || !t2) return;
-    const item = s.parentArray.splice(s.index, 1)[0];
-    const ni = t2.parentArray.findIndex(l => l.id === target.id);
-    t2.parentArray.splice(ni < 0 ? 0 : ni, 0, item);
-
-  } else if (src.type === 'link' && target.type === 'folder') {
-    const s = _findLinkInTree(_currentTree, src.id);
-    const t2 = findParentAndIndex(_currentTree, target.id);
-    if (!s || !t2) return;
-    const item = s.parentArray.splice(s.index, 1)[0];
-    t2.parentArray[t2.index].links = safeArray(t2.parentArray[t2.index].links);
-    t2.parentArray[t2.index].links.push(item);
-  }
+function _wireRootDrop(root) {
+  root.addEventListener('dragover', e => {
+    if (!_dragData) return;
+    e.preventDefault();
+    _clearDropLines();
+  });
+  root.addEventListener('drop', e => {
+    e.preventDefault();
+    _clearDropLines();
+    if (!_dragData) return;
+    _applyDrop(_dragData, { type: 'root' });
+    _dragData = null;
+  });
+}
 
-  setUnsaved(true);
+function _applyDrop(src, target, position) {
+  _edit(() => moveItem(_currentTree, src, target, position));
   renderTree(_currentTree);
 }
 
+const SORT_LABELS = { title: 'sortByTitle', domain: 'sortByDomain', added: 'sortByAdded', usage: 'sortByUsage' };
+let _sortMenu = null;
+
+function _closeSortMenu() {
+  _sortMenu?.remove();
+  _sortMenu = null;
+}
+
+function _sortCheckbox(label, checked) {
+  const row = document.createElement('label');
+  row.className = 'sort-menu-row';
+  const box = document.createElement('input');
+  box.type = 'checkbox';
+  box.checked = checked;
+  row.append(box, document.createTextNode(label));
+  return { row, box };
+}
+
+function _openSortMenu(anchor, nodeId) {
+  _closeSortMenu();
+  const node = nodeId ? findNode(_currentTree, nodeId) : null;
+
+  const menu = document.createElement('div');
+  menu.className = 'sort-menu';
+  menu.addEventListener('click', e => e.stopPropagation());
+
+  const heading = document.createElement('div');
+  heading.className = 'sort-menu-title';
+  heading.textContent = node ? t('sortFolder') : t('sortTreeTitle');
+
+  const key = document.createElement('select');
+  key.className = 'setting-select';
+  for (const k of SORT_KEYS) key.appendChild(new Option(t(SORT_LABELS[k]), k));
+  key.value = node?.autoSort || 'title';
+
+  const order = document.createElement('select');
+  order.className = 'setting-select';
+  order.append(new Option(t('sortLinksFirst'), 'links'), new Option(t('sortFoldersFirst'), 'folders'));
+  order.value = (node ?? safeArray(_currentTree).find(n => n?.__isRoot))?.foldersFirst ? 'folders' : 'links';
+
+  const recursive    = _sortCheckbox(t('sortRecursive'), !node);
+  const auto         = node ? _sortCheckbox(t('sortAutoSort'), !!node.autoSort) : null;
+
+  const actions = document.createElement('div');
+  actions.className = 'sort-menu-actions';
+  actions.append(
+    _smallBtn(t('sortApply'), '', async () => {
+      const usage = key.value === 'usage' ? await (_state?.loadUsage?.() ?? {}) : {};
+      const opts = { key: key.value, recursive: recursive.box.checked, foldersFirst: order.value === 'folders', usage, locale: getLanguage() };
+      _edit(() => {
+        if (!nodeId) { sortTree(_currentTree, opts); return; }
+        const target = findNode(_currentTree, nodeId);
+        if (!target) return false;
+        sortFolder(target, opts);
+        if (auto.box.checked) target.autoSort = key.value; else delete target.autoSort;
+      });
+      _closeSortMenu();
+      renderTree(_currentTree);
+    }, 'btn btn-sm btn-primary'),
+    _smallBtn(t('cancel'), '', _closeSortMenu)
+  );
+
+  menu.append(heading, key, order, recursive.row);
+  if (auto) menu.appendChild(auto.row);
+  menu.appendChild(actions);
+  document.body.appendChild(menu);
+  _sortMenu = menu;
+
+  const r = anchor.getBoundingClientRect();
+  const left = Math.min(r.left, window.innerWidth - menu.offsetWidth - 8);
+  menu.style.left = `${Math.max(8, left) + window.scrollX}px`;
+  menu.style.top  = `${r.bottom + 4 + window.scrollY}px`;
+}
+
 function _wireToolbar(state) {
   $('addRoot')?.addEventListener('click', () => {
-    _currentTree = safeArray(_currentTree);
-    _currentTree.push({
-      id: uid(),
-      type: 'folder',
-      title: t('newFolder'),
-      children: [],
-      links: []
+    _edit(() => {
+      _currentTree = safeArray(_currentTree);
+      _currentTree.push({
+        id: uid(),
+        type: 'folder',
+        title: t('newFolder'),
+        children: [],
+        links: []
+      });
+    });
+    renderTree(_currentTree);
+  });
+
+  $('addSmartFolder')?.addEventListener('click', () => {
+    const query = prompt(t('smartQueryPrompt'))?.trim();
+    if (!query) return;
+    _edit(() => {
+      _currentTree = safeArray(_currentTree);
+      _currentTree.push({ id: uid(), type: 'smart', title: query, query });
     });
-    setUnsaved(true);
     renderTree(_currentTree);
   });
 
   $('addRootLink')?.addEventListener('click', () => {
-    _currentTree = safeArray(_currentTree);
-    let rootFolder = _currentTree.find(n => n.__isRoot);
-    if (!rootFolder) {
-      rootFolder = {
+    _edit(() => {
+      _currentTree = safeArray(_currentTree);
+      ensureRootFolder(_currentTree).links.push({
         id: uid(),
-        type: 'folder',
-        title: '__ROOT__',
-        __isRoot: true,
-        children: [],
-        links: []
-      };
-      _currentTree.unshift(rootFolder);
-    }
-    rootFolder.links = safeArray(rootFolder.links);
-    rootFolder.links.push({
-      id: uid(),
-      title: '',
-      url: '',
-      description: ''
+        title: '',
+        url: '',
+        description: '',
+        added: Date.now()
+      });
     });
-    setUnsaved(true);
     renderTree(_currentTree);
   });
 
   $('saveBtn')?.addEventListener('click', () => state.onSave());
   $('cancelBtn')?.addEventListener('click', () => state.onCancel());
   $('exportBtn')?.addEventListener('click', () => state.onExport($('exportUnique')?.checked ?? true));
+  $('exportHtmlBtn')?.addEventListener('click', () => state.onExportHtml?.($('exportUnique')?.checked ?? true));
   $('importFile')?.addEventListener('change', e => {
     const f = e.target.files?.[0];
     if (!f) return;
-    state.onImport(f);
+    state.onImport(f, $('importMerge')?.checked ?? false);
     $('importFile').value = '';
   });
   $('cleanBtn')?.addEventListener('click', () => state.onClean());
-  $('undoBtn')?.addEventListener('click', () => state.onUndo());
+  $('sortTreeBtn')?.addEventListener('click', e => { e.stopPropagation(); _openSortMenu(e.currentTarget, null); });
+  document.addEventListener('click', _closeSortMenu);
+  document.addEventListener('keydown', e => { if (e.key === 'Escape') _closeSortMenu(); });
+  $('historyBtn')?.addEventListener('click', () => state.onHistory?.());
+  $('duplicatesBtn')?.addEventListener('click', () => state.onFindDuplicates?.());
+  $('checkLinksBtn')?.addEventListener('click', () => state.onCheckLinks?.());
+  $('linkHealthScan')?.addEventListener('click', () => state.onScanLinks?.());
+  $('cleanSnapshotsBtn')?.addEventListener('click', () => state.onCleanSnapshots?.());
+  $('undoBtn')?.addEventListener('click', () => undo());
+  $('redoBtn')?.addEventListener('click', () => redo());
 }
 
 function _wireSettings(state) {
@@ -478,6 +1001,19 @@ function _wireSettings(state) {
   syncCheckbox('settingLayout', s.layoutCorrection !== false);
   syncCheckbox('settingNestedLinks', !!s.nestedLinksEnabled);
   syncCheckbox('settingNestedLinksSearch', !!s.nestedLinksSearch);
+  syncCheckbox('settingAutoSnapshots', !!s.autoSnapshots);
+
+  const intervalSelect = $('settingAutoSnapshotInterval');
+  if (intervalSelect) {
+    intervalSelect.value = String(s.autoSnapshotInterval ?? 15);
+    intervalSelect.addEventListener('change', e => state.onSettingChange('autoSnapshotInterval', Number(e.target.value)));
+  }
+
+  const keepSelect = $('settingAutoSnapshotKeep');
+  if (keepSelect) {
+    keepSelect.value = String(s.autoSnapshotKeep ?? 10);
+    keepSelect.addEventListener('change', e => state.onSettingChange('autoSnapshotKeep', Number(e.target.value)));
+  }
 
   const altQSelect = $('settingAltQMode');
   if (altQSelect) {
@@ -534,6 +1070,7 @@ function _wireSettings(state) {
   $('settingLayout')?.addEventListener('change', e => state.onSettingChange('layoutCorrection', e.target.checked));
   $('settingNestedLinks')?.addEventListener('change', e => state.onSettingChange('nestedLinksEnabled', e.target.checked));
   $('settingNestedLinksSearch')?.addEventListener('change', e => state.onSettingChange('nestedLinksSearch', e.target.checked));
+  $('settingAutoSnapshots')?.addEventListener('change', e => state.onSettingChange('autoSnapshots', e.target.checked));
 
   $('exportSettings')?.addEventListener('click', () => state.onExportSettings?.());
   $('importSettings')?.addEventListener('change', e => {
@@ -558,7 +1095,53 @@ function _wireSearch() {
   });
 }
 
-export function renderSavedTabsPanel(sessions, onRestore, onDelete, onExport) {
+function _tabBadge(text, cls) {
+  const el = document.createElement('span');
+  el.className = cls;
+  el.textContent = text;
+  return el;
+}
+
+function _smallBtn(text, title_, handler, cls = 'btn btn-sm') {
+  const b = document.createElement('button');
+  b.className = cls;
+  b.textContent = text;
+  if (title_) b.title = title_;
+  b.addEventListener('click', e => { e.stopPropagation(); handler(); });
+  return b;
+}
+
+function _renderSessionTools(session, sessions, handlers) {
+  const tools = document.createElement('div');
+  tools.className = 'tab-session-tools';
+
+  tools.appendChild(_smallBtn(t('sessionRename'), '', () => {
+    const title = prompt(t('sessionNamePrompt'), session.title)?.trim();
+    if (title) handlers.onUpdate(renameSession(session, title));
+  }));
+
+  const split = document.createElement('select');
+  split.className = 'setting-select';
+  for (const [value, label] of [['none', t('splitNone')], ['window', t('splitWindow')], ['group', t('splitGroup')]]) {
+    split.appendChild(new Option(label, value));
+  }
+  tools.append(split, _smallBtn(t('moveToTree'), t('moveToTreeHint'), () => handlers.onMoveToTree(session, split.value)));
+
+  const others = sessions.filter(s => s.id !== session.id);
+  if (others.length) {
+    const target = document.createElement('select');
+    target.className = 'setting-select';
+    target.appendChild(new Option(t('mergeWith'), ''));
+    for (const other of others) target.appendChild(new Option(other.title || other.date, other.id));
+    target.addEventListener('change', () => {
+      if (target.value) handlers.onMerge(session.id, target.value);
+    });
+    tools.appendChild(target);
+  }
+  return tools;
+}
+
+export function renderSavedTabsPanel(sessions, handlers) {
   const panel = $('savedTabsPanel');
   if (!panel) return;
   panel.innerHTML = '';
@@ -585,46 +1168,354 @@ export function renderSavedTabsPanel(sessions, onRestore, onDelete, onExport) {
 
     const btns = document.createElement('div');
     btns.className = 'tab-session-btns';
-
-    const restoreBtn = document.createElement('button');
-    restoreBtn.className = 'btn btn-sm';
-    restoreBtn.textContent = t('restore');
-    restoreBtn.addEventListener('click', () => onRestore(session));
-
-    const delBtn = document.createElement('button');
-    delBtn.className = 'btn btn-sm btn-danger-sm';
-    delBtn.textContent = '×';
-    delBtn.title = t('deleteSession');
-    delBtn.addEventListener('click', () => onDelete(session.id));
-
-    btns.append(restoreBtn, delBtn);
-    header.append(title, date, btns);
+    btns.append(
+      _smallBtn(t('restore'),     t('restoreNewWindow'), () => handlers.onRestore(session, { intoCurrent: false })),
+      _smallBtn(t('restoreHere'), t('restoreHereHint'),  () => handlers.onRestore(session, { intoCurrent: true })),
+      _smallBtn('×',              t('deleteSession'),    () => handlers.onDelete(session.id), 'btn btn-sm btn-danger-sm')
+    );
+    header.append(title);
+    if (session.auto) {
+      const badge = _tabBadge(t('autoBadge'), 'tab-badge tab-session-auto');
+      badge.title = t('autoBadgeHint');
+      header.appendChild(badge);
+    }
+    header.append(date, btns);
     item.appendChild(header);
 
     const tabList = document.createElement('div');
     tabList.className = 'tab-list';
-    tabList.style.display = 'none';
-    for (const tab of session.tabs) {
+    tabList.hidden = !_expandedSessions.has(session.id);
+    const groups = session.groups || [];
+    session.tabs.forEach((tab, index) => {
       const tabItem = document.createElement('div');
       tabItem.className = 'tab-item';
-      tabItem.textContent = tab.title || tab.url;
       tabItem.title = tab.url;
+
+      const label = document.createElement('span');
+      label.className = 'tab-item-label';
+      if (tab.window) label.appendChild(_tabBadge(`W${tab.window + 1}`, 'tab-badge'));
+      if (tab.pinned) label.appendChild(_tabBadge('📌', 'tab-badge'));
+      const group = groups[tab.group];
+      if (group) label.appendChild(_tabBadge(group.title || t('tabGroup'), `tab-badge tab-group-${group.color}`));
+      label.appendChild(document.createTextNode(tab.title || tab.url));
+
+      const tabBtns = document.createElement('span');
+      tabBtns.className = 'tab-item-btns';
+      tabBtns.append(
+        mkBtn(IC.up,    t('moveUp'),    'icon-btn-sm', () => { if (index > 0) handlers.onUpdate(moveSessionTab(session, tab.id, -1)); }),
+        mkBtn(IC.down,  t('moveDown'),  'icon-btn-sm', () => { if (index < session.tabs.length - 1) handlers.onUpdate(moveSessionTab(session, tab.id, 1)); }),
+        mkBtn(IC.trash, t('removeTab'), 'icon-btn-sm icon-btn-danger', () => handlers.onUpdate(removeSessionTab(session, tab.id)))
+      );
+      tabItem.append(label, tabBtns);
       tabList.appendChild(tabItem);
-    }
-    title.style.cursor = 'pointer';
+    });
+    tabList.appendChild(_renderSessionTools(session, sessions, handlers));
+
     title.addEventListener('click', () => {
-      tabList.style.display = tabList.style.display === 'none' ? 'block' : 'none';
+      tabList.hidden = !tabList.hidden;
+      if (tabList.hidden) _expandedSessions.delete(session.id); else _expandedSessions.add(session.id);
     });
     item.appendChild(tabList);
     panel.appendChild(item);
   }
 
-  if (onExport) {
-    const exportBtn = document.createElement('button');
-    exportBtn.className = 'btn btn-sm';
+  if (handlers.onExport) {
+    const exportBtn = _smallBtn(t('exportTabsTxt'), '', handlers.onExport);
     exportBtn.style.marginTop = '8px';
-    exportBtn.textContent = t('exportTabsTxt');
-    exportBtn.addEventListener('click', onExport);
     panel.appendChild(exportBtn);
   }
+}
+
+export function renderWorkspacesPanel(workspaces, handlers) {
+  const panel = $('workspacesPanel');
+  if (!panel) return;
+  panel.innerHTML = '';
+
+  for (const ws of workspaces.list) {
+    const active = ws.id === workspaces.active;
+    const name   = ws.title || t('workspaceDefault');
+
+    const item = document.createElement('div');
+    item.className = 'workspace-item' + (active ? ' active' : '');
+
+    const title = document.createElement('span');
+    title.className = 'workspace-title';
+    title.textContent = name;
+    if (!active) title.addEventListener('click', () => handlers.onSwitch(ws));
+
+    const btns = document.createElement('div');
+    btns.className = 'tab-session-btns';
+
+    if (active) {
+      const badge = document.createElement('span');
+      badge.className = 'workspace-active';
+      badge.textContent = t('workspaceActive');
+      btns.appendChild(badge);
+    }
+
+    for (const [label, handler] of [
+      [t('workspaceRename'),    handlers.onRename],
+      [t('workspaceDuplicate'), handlers.onDuplicate],
+      [t('workspaceExport'),    handlers.onExport]
+    ]) {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-sm';
+      btn.textContent = label;
+      btn.addEventListener('click', () => handler(ws));
+      btns.appendChild(btn);
+    }
+
+    const delBtn = document.createElement('button');
+    delBtn.className = 'btn btn-sm btn-danger-sm';
+    delBtn.textContent = '×';
+    delBtn.title = t('workspaceDelete');
+    delBtn.disabled = workspaces.list.length <= 1;
+    delBtn.addEventListener('click', () => handlers.onDelete(ws));
+    btns.appendChild(delBtn);
+
+    item.append(title, btns);
+    panel.appendChild(item);
+  }
+}
+
+export function renderDuplicatesPanel(groups, handlers) {
+  const panel = $('duplicatesPanel');
+  if (!panel) return;
+  panel.innerHTML = '';
+
+  if (!groups.length) {
+    panel.innerHTML = `<div class="empty" style="padding:16px">${t('noDuplicates')}</div>`;
+    return;
+  }
+
+  const summary = document.createElement('div');
+  summary.className = 'dup-summary';
+  summary.textContent = t('duplicatesFound', groups.length);
+  panel.appendChild(summary);
+
+  groups.forEach((group, gi) => {
+    const item = document.createElement('div');
+    item.className = 'dup-group';
+
+    const url = document.createElement('div');
+    url.className = 'dup-url';
+    url.textContent = group.entries[0].link.url;
+    item.appendChild(url);
+
+    group.entries.forEach(({ link, path }, i) => {
+      const row = document.createElement('label');
+      row.className = 'dup-entry';
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = `dup-${gi}`;
+      radio.value = link.id;
+      radio.checked = i === 0;
+      const title = document.createElement('span');
+      title.className = 'dup-title';
+      title.textContent = link.title || link.url;
+      const where = document.createElement('span');
+      where.className = 'dup-path';
+      where.textContent = path.length ? path.join(' › ') : t('rootLinks');
+      row.append(radio, title, where);
+      if (link.description) row.title = link.description;
+      item.appendChild(row);
+    });
+
+    const ids = group.entries.map(e => e.link.id);
+    const keepId = () => item.querySelector('input:checked')?.value || ids[0];
+    const btns = document.createElement('div');
+    btns.className = 'dup-actions';
+    btns.append(
+      _smallBtn(t('keepOne'), t('keepOneHint'), () => handlers.onKeep(ids, keepId())),
+      _smallBtn(t('keepMerge'), t('keepMergeHint'), () => handlers.onMerge(ids, keepId()))
+    );
+    item.appendChild(btns);
+    panel.appendChild(item);
+  });
+}
+
+let _healthFilter = 'problems';
+
+function _healthLabel({ entry, kind }) {
+  if (kind === 'timeout') return t('healthTimeout');
+  if (kind === 'error')   return t('healthError');
+  return String(entry.status);
+}
+
+export function renderLinkHealthPanel(report, handlers) {
+  const panel = $('linkHealthPanel');
+  if (!panel) return;
+  panel.innerHTML = '';
+
+  if (!report.length) {
+    panel.innerHTML = `<div class="empty" style="padding:16px">${t('healthNotChecked')}</div>`;
+    return;
+  }
+
+  const counts = {};
+  for (const item of report) counts[item.kind] = (counts[item.kind] || 0) + 1;
+
+  const filter = document.createElement('select');
+  filter.className = 'setting-select';
+  const problems = report.length - (counts.ok || 0);
+  filter.appendChild(new Option(`${t('healthProblems')} (${problems})`, 'problems'));
+  for (const kind of HEALTH_KINDS) {
+    if (counts[kind]) filter.appendChild(new Option(`${t('health_' + kind)} (${counts[kind]})`, kind));
+  }
+  filter.appendChild(new Option(`${t('healthAll')} (${report.length})`, 'all'));
+  filter.value = [...filter.options].some(o => o.value === _healthFilter) ? _healthFilter : 'problems';
+  filter.addEventListener('change', () => { _healthFilter = filter.value; renderLinkHealthPanel(report, handlers); });
+
+  const selectAll = document.createElement('input');
+  selectAll.type = 'checkbox';
+  selectAll.title = t('selectAll');
+
+  const tools = document.createElement('div');
+  tools.className = 'health-tools';
+  tools.append(selectAll, filter);
+  panel.appendChild(tools);
+
+  const shown = report.filter(item => filter.value === 'all'
+    || (filter.value === 'problems' ? item.kind !== 'ok' : item.kind === filter.value));
+
+  const list = document.createElement('div');
+  list.className = 'health-list';
+  for (const item of shown) {
+    const row = document.createElement('label');
+    row.className = 'health-item';
+    row.title = t('healthChecked', new Date(item.entry.checked).toLocaleString());
+
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.value = item.link.id;
+
+    const badge = _tabBadge(_healthLabel(item), `tab-badge health-${item.kind}`);
+
+    const info = document.createElement('span');
+    info.className = 'health-info';
+    const title = document.createElement('span');
+    title.className = 'health-title';
+    title.textContent = item.link.title || item.link.url;
+    const detail = document.createElement('span');
+    detail.className = 'health-detail';
+    const where = item.path.length ? item.path.join(' › ') : t('rootLinks');
+    detail.textContent = item.entry.redirect ? `→ ${item.entry.redirect}` : `${where} · ${item.link.url}`;
+    info.append(title, detail);
+
+    row.append(check, badge, info);
+    list.appendChild(row);
+  }
+  if (!shown.length) list.innerHTML = `<div class="empty" style="padding:16px">${t('healthNothing')}</div>`;
+  panel.appendChild(list);
+
+  const boxes = () => [...list.querySelectorAll('input[type=checkbox]')];
+  selectAll.addEventListener('change', () => boxes().forEach(b => { b.checked = selectAll.checked; }));
+  const selected = () => boxes().filter(b => b.checked).map(b => b.value);
+
+  const actions = document.createElement('div');
+  actions.className = 'health-actions';
+  for (const [action, label, hint] of [
+    ['redirect', t('healthUpdateRedirect'), t('healthUpdateRedirectHint')],
+    ['archive',  t('healthArchive'),        t('healthArchiveHint')],
+    ['delete',   t('healthDelete'),         '']
+  ]) {
+    actions.appendChild(_smallBtn(label, hint, () => {
+      const ids = selected();
+      if (ids.length) handlers.onBulk(action, ids);
+    }, action === 'delete' ? 'btn btn-sm btn-danger-sm' : 'btn btn-sm'));
+  }
+  panel.appendChild(actions);
+}
+
+function _formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? t('sizeMB', (bytes / 1024 / 1024).toFixed(1)) : t('sizeKB', Math.ceil(bytes / 1024));
+}
+
+export function renderSnapshotsPanel(snapshots, usage, handlers) {
+  const usageEl = $('snapshotsUsage');
+  if (usageEl) {
+    const total = snapshots.reduce((sum, s) => sum + (s.size || 0), 0);
+    usageEl.textContent = t('snapshotsUsage', snapshots.length, _formatSize(total))
+      + (usage?.quota ? ' · ' + t('storageUsage', _formatSize(usage.usage || 0), _formatSize(usage.quota)) : '');
+  }
+
+  const panel = $('snapshotsPanel');
+  if (!panel) return;
+  panel.innerHTML = '';
+
+  if (!snapshots.length) {
+    panel.innerHTML = `<div class="empty" style="padding:16px">${t('noSnapshotsSaved')}</div>`;
+    return;
+  }
+
+  for (const snap of [...snapshots].sort((a, b) => b.created - a.created)) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+
+    const info = document.createElement('div');
+    info.className = 'history-info';
+    const title = document.createElement('span');
+    title.className = 'history-date';
+    title.textContent = snap.title || snap.url;
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = `${new Date(snap.created).toLocaleString()} · ${_formatSize(snap.size || 0)}`;
+    info.append(title, meta);
+    if (snap.orphan) {
+      const orphan = document.createElement('span');
+      orphan.className = 'history-diff';
+      orphan.textContent = t('snapshotOrphan');
+      info.appendChild(orphan);
+    }
+
+    item.append(info,
+      _smallBtn(t('viewOfflineCopy'), snap.url, () => handlers.onView(snap.id)),
+      _smallBtn('×', t('deleteSnapshot'), () => handlers.onDelete([snap.id]), 'btn btn-sm btn-danger-sm'));
+    panel.appendChild(item);
+  }
+}
+
+export function renderHistoryPanel(snapshots, currentTree, onRestore) {
+  const panel = $('historyPanel');
+  if (!panel) return;
+  panel.innerHTML = '';
+
+  if (!snapshots || snapshots.length === 0) {
+    panel.innerHTML = `<div class="empty" style="padding:16px">${t('noSnapshots')}</div>`;
+    return;
+  }
+
+  for (const snap of snapshots) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+
+    const info = document.createElement('div');
+    info.className = 'history-info';
+
+    const date = document.createElement('span');
+    date.className = 'history-date';
+    date.textContent = new Date(snap.ts).toLocaleString();
+
+    const counts = countTree(snap.tree);
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = t('snapshotCounts', counts.links, counts.folders);
+
+    const d = diffTrees(currentTree, snap.tree);
+    const diff = document.createElement('span');
+    diff.className = 'history-diff';
+    diff.textContent = (d.added || d.removed || d.changed)
+      ? t('snapshotDiff', d.added, d.removed, d.changed)
+      : t('snapshotSame');
+
+    info.append(date, meta, diff);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'btn btn-sm';
+    restoreBtn.textContent = t('restore');
+    restoreBtn.addEventListener('click', () => onRestore(snap));
+
+    item.append(info, restoreBtn);
+    panel.appendChild(item);
+  }
 }
\ No newline at end of file
@@ -1,10 +1,17 @@
 
-import { filterTree, safeArray, countLinks, findNode, findParentAndIndex, findLinkParent, findLinkDeep } from '../core/tree.js';
+import { filterTree, safeArray, clone, isSmartFolder, countLinks, findNode, findLinkDeep, collectTags, canMoveItem, moveItem } from '../core/tree.js';
+import { parseQuery } from '../core/query.js';
+import { isDeepQuery, searchLinks, searchLinksWithLayout } from '../core/search.js';
+import { highlightFragment } from '../utils/highlight.js';
 import { getFaviconUrl } from '../utils/favicon.js';
 import { debounce } from '../utils/debounce.js';
 import { t } from '../utils/i18n.js';
 import { filterTreeWithLayout } from '../utils/layout.js';
-import { saveCollapsed, saveTree, getCachedTree } from '../storage/storage.js';
+import { saveCollapsed, saveTree, getCachedTree, recordVisits } from '../storage/storage.js';
+import { topLinks } from '../core/usage.js';
+import { findSavedUrl } from '../core/duplicates.js';
+import { smartFolderLinks } from '../core/smart.js';
+import { collectPinned, setPinned, reorderPinned } from '../core/pinned.js';
 
 const _svgCache = new Map();
 function svgEl(s) {
@@ -20,16 +27,22 @@ const IC = {
   folder:  '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/></svg>',
   chevD:   '<svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><polyline points="6 9 12 15 18 9"/></svg>',
   chevR:   '<svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><polyline points="9 18 15 12 9 6"/></svg>',
+  session: '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><rect x="2" y="7" width="20" height="14" rx="2"/><path d="M16 7V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v2"/></svg>',
   openAll: '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/><polyline points="15 3 21 3 21 9"/><line x1="10" y1="14" x2="21" y2="3"/></svg>',
+  smart:   '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/><circle cx="11.5" cy="13.5" r="2.5"/><line x1="13.3" y1="15.3" x2="15" y2="17"/></svg>',
+  offline: '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><polyline points="21 8 21 21 3 21 3 8"/><rect x="1" y="3" width="22" height="5"/><line x1="10" y1="12" x2="14" y2="12"/></svg>',
   copy:    '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><rect x="9" y="9" width="13" height="13" rx="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>',
   back:    '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><polyline points="15 18 9 12 15 6"/></svg>',
   link:    '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/></svg>',
+  pin:     '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="17" x2="12" y2="22"/><path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24z"/></svg>',
   home:    '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/></svg>',
 };
 
 let _mounted          = false;
 let _treeEl           = null;
 let _searchEl         = null;
+let _tagBarEl         = null;
+let _pinnedBarEl      = null;
 let _descPanel        = null;
 let _collapsed        = new Set();
 let _cachedTree       = [];
@@ -37,12 +50,16 @@ let _query            = '';
 let _layoutCorrection = true;
 let _onSavePage       = null;
 let _onSaveTabs       = null;
+let _onSaveFolderAsSession = null;
 let _navIndex         = -1;
 let _navItems         = [];
 let _descTimer        = null;
 let _dragData         = null;
+let _pinDragId        = null;
 let _settings         = {};
 let _sublinkPopup     = null;
+let _usage            = {};
+let _snapshotIds      = new Set();
 
 let _drillStack = [];
 
@@ -84,8 +101,10 @@ export function mount(container, state) {
     _collapsed        = state.collapsed instanceof Set ? state.collapsed : new Set(state.collapsed);
     _layoutCorrection = (state.settings || {}).layoutCorrection !== false;
     _settings         = state.settings || {};
+    _usage            = state.usage || {};
     _onSavePage       = state.onSavePage;
     _onSaveTabs       = state.onSaveTabs;
+    _onSaveFolderAsSession = state.onSaveFolderAsSession;
     _doRender();
     return;
   }
@@ -96,21 +115,29 @@ export function mount(container, state) {
   _cachedTree       = state.tree;
   _layoutCorrection = (state.settings || {}).layoutCorrection !== false;
   _settings         = state.settings || {};
+  _usage            = state.usage || {};
   _onSavePage       = state.onSavePage;
   _onSaveTabs       = state.onSaveTabs;
+  _onSaveFolderAsSession = state.onSaveFolderAsSession;
 
   _searchEl  = document.getElementById('popupSearch');
   _descPanel = document.getElementById('descPanel');
+  _tagBarEl  = document.getElementById('tagBar');
+  _pinnedBarEl = document.getElementById('pinnedBar');
 
   _treeEl.addEventListener('click', _handleTreeClick);
+  _treeEl.addEventListener('dragover', _handleRootDragOver);
+  _treeEl.addEventListener('drop', _handleRootDrop);
 
   document.getElementById('openOptions')?.addEventListener('click', () => {
     try { chrome.runtime.openOptionsPage(); } catch { window.open('options.html', '_blank'); }
   });
   document.getElementById('savePageBtn')?.addEventListener('click', _showSavePageUI);
-  document.getElementById('saveTabsBtn')?.addEventListener('click', () => _onSaveTabs?.());
+  document.getElementById('saveTabsBtn')?.addEventListener('click', (e) => _onSaveTabs?.({ allWindows: e.shiftKey }));
 
   if (_searchEl) _searchEl.addEventListener('input', _searchDebounced);
+  _tagBarEl?.addEventListener('click', _handleTagClick);
+  _pinnedBarEl?.addEventListener('click', _handlePinnedClick);
 
   document.addEventListener('keydown', _handleKeydown);
   _doRender();
@@ -125,6 +152,22 @@ export function updateCachedTree(tree) {
   _doRender();
 }
 
+export function updateSettings(settings) {
+  _settings         = settings || {};
+  _layoutCorrection = _settings.layoutCorrection !== false;
+  _doRender();
+}
+
+export function updateSnapshots(ids) {
+  _snapshotIds = new Set(ids);
+  _doRender();
+}
+
+export function updateUsage(usage) {
+  _usage = usage || {};
+  if (!_query && !_drillStack.length) _doRender();
+}
+
 export function renderTree(list, query, collapsed) {
   if (collapsed !== undefined)
     _collapsed = collapsed instanceof Set ? collapsed : new Set(collapsed);
@@ -143,19 +186,20 @@ export function renderTree(list, query, collapsed) {
 
 function _doRender() {
   if (_descPanel) { _descPanel.style.display = 'none'; clearTimeout(_descTimer); }
+  _renderTagBar();
+  _renderPinnedBar();
 
   let list;
   let isDeepFlat = false;
   if (_query) {
-    const isDeepSearch = _query.startsWith('..') || _query.startsWith('\\\\') || _query.startsWith('//');
-    if (isDeepSearch) {
+    if (isDeepQuery(_query)) {
       const deepQuery = _query.slice(2).trim();
       if (!deepQuery) {
         list = _collectAllLinksFlat(_cachedTree);
       } else {
         list = _layoutCorrection
-          ? _filterTreeDeepFlatWithLayout(_cachedTree, deepQuery)
-          : _filterTreeDeepFlat(_cachedTree, deepQuery);
+          ? searchLinksWithLayout(_cachedTree, deepQuery, { usage: _usage })
+          : searchLinks(_cachedTree, deepQuery, { usage: _usage });
       }
       isDeepFlat = true;
     } else {
@@ -174,6 +218,8 @@ function _doRender() {
 
   const frag = document.createDocumentFragment();
 
+  if (!_query) _renderUsageSections(frag);
+
   if (isDeepFlat) {
     for (let i = 0; i < list.length; i++) {
       frag.appendChild(_renderDeepResult(list[i]));
@@ -198,6 +244,163 @@ function _doRender() {
   _treeEl.appendChild(frag);
 }
 
+function _renderTagBar() {
+  if (!_tagBarEl) return;
+  const tags = collectTags(_cachedTree);
+  _tagBarEl.innerHTML = '';
+  _tagBarEl.hidden = !tags.length;
+  const active = new Set(parseQuery(_query).groups.flat().filter(term => term.field === 'tag' && !term.neg).map(term => term.value));
+  for (const { tag, count } of tags) {
+    const chip = document.createElement('button');
+    chip.className = 'tag-chip' + (active.has(tag) ? ' active' : '');
+    chip.dataset.tag = tag;
+    chip.title = t('tagCount', count);
+    chip.textContent = '#' + tag;
+    _tagBarEl.appendChild(chip);
+  }
+}
+
+function _renderPinnedBar() {
+  if (!_pinnedBarEl) return;
+  const pinned = collectPinned(_cachedTree);
+  _pinnedBarEl.innerHTML = '';
+  _pinnedBarEl.hidden = !pinned.length || !!_query || _drillStack.length > 0;
+  pinned.forEach(({ type, node }, i) => {
+    const chip = document.createElement('button');
+    chip.className = 'pin-chip';
+    chip.dataset.type = type;
+    chip.dataset.id = node.id;
+    if (type === 'link') chip.dataset.url = node.url || '';
+    const label = node.title || node.url || t('untitled');
+    chip.title = i < 9 ? `${label} (Alt+${i + 1})` : label;
+
+    const favUrl = type === 'link' ? getFaviconUrl(node.url) : null;
+    if (favUrl) {
+      const fav = document.createElement('img');
+      fav.className = 'favicon';
+      fav.src = favUrl;
+      fav.alt = '';
+      fav.addEventListener('error', () => fav.replaceWith(svgEl(IC.link)), { once: true });
+      chip.appendChild(fav);
+    } else {
+      chip.appendChild(svgEl(type === 'link' ? IC.link : isSmartFolder(node) ? IC.smart : IC.folder));
+    }
+    const name = document.createElement('span');
+    name.className = 'pin-chip-title';
+    name.textContent = label;
+    chip.appendChild(name);
+
+    _wirePinDrag(chip);
+    _pinnedBarEl.appendChild(chip);
+  });
+}
+
+function _handlePinnedClick(e) {
+  const chip = e.target.closest('.pin-chip');
+  if (chip) _activatePin(chip, e.shiftKey);
+}
+
+function _activatePin(chip, alt) {
+  const { type, id, url } = chip.dataset;
+  if (type === 'link') { _openLink(url, !alt); return; }
+  if (alt) { _openAll(id); return; }
+  if (_collapsed.has(id)) _toggleFolder(id);
+  const folderEl = _treeEl.querySelector(`[data-folder-id="${id}"]`);
+  if (!folderEl) return;
+  let parent = folderEl.parentElement?.closest('.folder');
+  while (parent) {
+    if (_collapsed.has(parent.dataset.folderId)) _toggleFolder(parent.dataset.folderId);
+    parent = parent.parentElement?.closest('.folder');
+  }
+  folderEl.scrollIntoView({ block: 'start', behavior: 'smooth' });
+}
+
+function _wirePinDrag(chip) {
+  chip.draggable = true;
+  chip.addEventListener('dragstart', (e) => {
+    _pinDragId = chip.dataset.id;
+    e.dataTransfer.effectAllowed = 'move';
+    chip.classList.add('dragging');
+  });
+  chip.addEventListener('dragend', () => {
+    _pinDragId = null;
+    chip.classList.remove('dragging');
+  });
+  chip.addEventListener('dragover', (e) => {
+    if (!_pinDragId) return;
+    e.preventDefault();
+    const dragged = _pinnedBarEl.querySelector(`.pin-chip[data-id="${_pinDragId}"]`);
+    if (!dragged || dragged === chip) return;
+    const after = e.clientX > chip.getBoundingClientRect().left + chip.offsetWidth / 2;
+    _pinnedBarEl.insertBefore(dragged, after ? chip.nextSibling : chip);
+  });
+  chip.addEventListener('drop', (e) => {
+    if (!_pinDragId) return;
+    e.preventDefault();
+    _pinDragId = null;
+    const ids = Array.from(_pinnedBarEl.querySelectorAll('.pin-chip'), el => el.dataset.id);
+    const tree = clone(getCachedTree());
+    reorderPinned(tree, ids);
+    _saveTree(tree, _renderPinnedBar);
+  });
+}
+
+function _togglePin(id) {
+  const tree = clone(getCachedTree());
+  const node = findNode(tree, id) || findLinkDeep(tree, id);
+  if (!node || !setPinned(tree, id, !node.pinned)) return;
+  _saveTree(tree, _doRender);
+}
+
+// On failure the cached tree is left untouched, so re-rendering restores
+// whatever the user had rearranged in the DOM.
+function _saveTree(tree, render) {
+  saveTree(tree).then(() => {
+    _cachedTree = tree;
+    render();
+  }).catch(err => {
+    showToast(t('saveFailed') + err.message);
+    render();
+  });
+}
+
+function _handleTagClick(e) {
+  const chip = e.target.closest('.tag-chip');
+  if (!chip || !_searchEl) return;
+  const token = '#' + chip.dataset.tag;
+  const words = _searchEl.value.trim().split(/\s+/).filter(Boolean);
+  const rest  = words.filter(w => w.toLowerCase() !== token);
+  if (rest.length === words.length) rest.push(token);
+  _searchEl.value = rest.join(' ');
+  _query = _searchEl.value.trim();
+  _doRender();
+  _searchEl.focus();
+}
+
+function _renderUsageSections(frag) {
+  const frequent = topLinks(_cachedTree, _usage, 'frequent', 5);
+  const recent   = topLinks(_cachedTree, _usage, 'recent', 10).filter(l => !frequent.includes(l)).slice(0, 5);
+  const sections = [
+    { key: 'frequentlyUsed', links: frequent },
+    { key: 'recentlyOpened', links: recent }
+  ];
+  for (const { key, links } of sections) {
+    if (!links.length) continue;
+    const section = document.createElement('div');
+    section.className = 'usage-section';
+    const header = document.createElement('div');
+    header.className = 'usage-header';
+    header.textContent = t(key);
+    section.appendChild(header);
+    for (const link of links) {
+      const el = _renderLink(link);
+      el.draggable = false;
+      section.appendChild(el);
+    }
+    frag.appendChild(section);
+  }
+}
+
 function _renderEmpty() {
   const wrap = document.createElement('div');
   wrap.className = 'empty';
@@ -226,52 +429,6 @@ function _renderEmpty() {
   _treeEl.appendChild(wrap);
 }
 
-function _collectDeepMatches(tree, needle) {
-  const results = [];
-
-  function searchLinks(links, path) {
-    for (const link of safeArray(links)) {
-      if (!link) continue;
-      const text = ((link.title || '') + (link.url || '') + (link.description || '')).toLowerCase();
-      if (text.includes(needle)) {
-        results.push({ link, breadcrumb: path.slice() });
-      }
-      if (Array.isArray(link.children) && link.children.length > 0) {
-        searchLinks(link.children, [...path, link.title || link.url || '']);
-      }
-    }
-  }
-
-  function searchNodes(nodes, path) {
-    for (const node of safeArray(nodes)) {
-      if (!node) continue;
-      const nodePath = node.__isRoot ? path : [...path, node.title || ''];
-      searchLinks(safeArray(node.links), nodePath);
-      searchNodes(safeArray(node.children), nodePath);
-    }
-  }
-
-  searchNodes(tree, []);
-  return results;
-}
-
-function _filterTreeDeepFlat(tree, query) {
-  if (!query || !query.trim()) return [];
-  const needle = query.toLowerCase().trim();
-  return _collectDeepMatches(tree, needle);
-}
-
-function _filterTreeDeepFlatWithLayout(tree, query) {
-  if (!query || !query.trim()) return [];
-  const { layoutVariants } = _getLayoutVariants(query);
-  let best = [];
-  for (const v of layoutVariants) {
-    const r = _filterTreeDeepFlat(tree, v);
-    if (r.length > best.length) best = r;
-  }
-  return best;
-}
-
 function _collectAllLinksFlat(tree) {
   const results = [];
 
@@ -298,30 +455,18 @@ function _collectAllLinksFlat(tree) {
   return results;
 }
 
-function _getLayoutVariants(query) {
-  const RU_LOWER = 'йцукенгшщзхъфывапролджэячсмитьбюё';
-  const EN_LOWER = 'qwertyuiop[]asdfghjkl;\'zxcvbnm,.`';
-  const ruToEn = new Map();
-  const enToRu = new Map();
-  for (let i = 0; i < RU_LOWER.length; i++) {
-    if (RU_LOWER[i] && EN_LOWER[i]) {
-      ruToEn.set(RU_LOWER[i], EN_LOWER[i]);
-      enToRu.set(EN_LOWER[i], RU_LOWER[i]);
-    }
-  }
-  function convert(str, map) {
-    return str.split('').map(c => map.get(c) || c).join('');
-  }
-  const lower = query.toLowerCase();
-  const set = new Set([lower, convert(lower, ruToEn), convert(lower, enToRu)]);
-  return { layoutVariants: [...set].filter(Boolean) };
-}
-
 function _renderDeepResult(item) {
-  const { link, breadcrumb } = item;
+  const { link, breadcrumb, highlight } = item;
   const el = _renderLink(link);
   el.classList.add('deep-result');
 
+  if (highlight) {
+    const titleEl = el.querySelector('.link-title');
+    const subEl   = el.querySelector('.link-sub');
+    if (titleEl) titleEl.replaceChildren(link.title ? highlightFragment(link.title, highlight.title) : highlightFragment(link.url || '', highlight.url));
+    if (subEl && link.url) subEl.lastChild.replaceWith(highlightFragment(link.url, highlight.url));
+  }
+
   if (breadcrumb && breadcrumb.length > 0) {
     const crumb = document.createElement('div');
     crumb.className = 'deep-result-crumb';
@@ -337,9 +482,10 @@ function _renderDeepResult(item) {
 
 function _renderNode(node, container) {
   if (!node) return;
+  const smart = isSmartFolder(node);
 
   const folder = document.createElement('div');
-  folder.className = 'folder';
+  folder.className = smart ? 'folder smart-folder' : 'folder';
   folder.dataset.folderId = node.id;
 
   const row = document.createElement('div');
@@ -349,7 +495,8 @@ function _renderNode(node, container) {
 
   const fi = document.createElement('span');
   fi.className = 'folder-icon';
-  fi.appendChild(svgEl(IC.folder));
+  fi.appendChild(svgEl(smart ? IC.smart : IC.folder));
+  if (smart) fi.title = node.query;
 
   const arrow = document.createElement('span');
   arrow.className = 'fold-toggle';
@@ -359,7 +506,8 @@ function _renderNode(node, container) {
   name.className = 'fold-name';
   name.textContent = node.title || t('untitled');
 
-  const lc = countLinks(node);
+  const smartLinks = smart ? smartFolderLinks(_cachedTree, node, _usage) : null;
+  const lc = smart ? smartLinks.length : countLinks(node);
   if (lc > 0) {
     const badge = document.createElement('span');
     badge.className = 'count-badge';
@@ -374,23 +522,35 @@ function _renderNode(node, container) {
   oaBtn.dataset.id = node.id;
   oaBtn.appendChild(svgEl(IC.openAll));
 
-  row.append(fi, arrow, name, oaBtn);
+  row.append(fi, arrow, name);
+  if (_settings.saveTabs && !smart) {
+    const ssBtn = document.createElement('button');
+    ssBtn.className = 'icon-action-btn';
+    ssBtn.title = t('saveAsSession');
+    ssBtn.dataset.action = 'save-session';
+    ssBtn.dataset.id = node.id;
+    ssBtn.appendChild(svgEl(IC.session));
+    row.appendChild(ssBtn);
+  }
+  row.append(_pinButton(node), oaBtn);
   folder.appendChild(row);
 
   const wrap = document.createElement('div');
-  wrap.className = 'links';
+  wrap.className = smart ? 'links smart-links' : 'links';
   if (_collapsed.has(node.id)) wrap.hidden = true;
 
-  const links = node.links;
+  const links = smart ? smartLinks : node.links;
+  const children = node.children;
+  if (node.foldersFirst && children) {
+    for (let i = 0; i < children.length; i++) _renderNode(children[i], wrap);
+  }
   if (links) {
     for (let i = 0; i < links.length; i++) {
       const link = links[i];
       if (link && (link.url || link.title)) wrap.appendChild(_renderLink(link));
     }
   }
-
-  const children = node.children;
-  if (children) {
+  if (!node.foldersFirst && children) {
     for (let i = 0; i < children.length; i++) _renderNode(children[i], wrap);
   }
 
@@ -432,6 +592,12 @@ function _renderLink(link) {
   const subEl = document.createElement('div');
   subEl.className = 'link-sub';
   subEl.textContent = link.url || '';
+  if (link.tags && link.tags.length > 0) {
+    const tagsEl = document.createElement('span');
+    tagsEl.className = 'link-tags';
+    tagsEl.textContent = link.tags.map(tag => '#' + tag).join(' ');
+    subEl.prepend(tagsEl);
+  }
 
   content.append(titleEl, subEl);
 
@@ -459,7 +625,16 @@ function _renderLink(link) {
   copyBtn.dataset.url = link.url || '';
   copyBtn.appendChild(svgEl(IC.copy));
 
-  actions.append(openBtn, openCurBtn, copyBtn);
+  actions.append(openBtn, openCurBtn, copyBtn, _pinButton(link));
+  if (_snapshotIds.has(link.id)) {
+    const offlineBtn = document.createElement('button');
+    offlineBtn.className = 'icon-action-btn';
+    offlineBtn.title = t('viewOfflineCopy');
+    offlineBtn.dataset.action = 'open-snapshot';
+    offlineBtn.dataset.id = link.id;
+    offlineBtn.appendChild(svgEl(IC.offline));
+    actions.appendChild(offlineBtn);
+  }
   el.append(content, actions);
 
   if (link.children && link.children.length > 0 && _settings && _settings.nestedLinksEnabled) {
@@ -486,6 +661,16 @@ function _renderLink(link) {
   return el;
 }
 
+function _pinButton(node) {
+  const btn = document.createElement('button');
+  btn.className = 'icon-action-btn pin-btn' + (node.pinned ? ' active' : '');
+  btn.title = t(node.pinned ? 'unpin' : 'pin');
+  btn.dataset.action = 'toggle-pin';
+  btn.dataset.id = node.id;
+  btn.appendChild(svgEl(IC.pin));
+  return btn;
+}
+
 function _showDesc(link) {
   if (!_descPanel) return;
   let label = _descPanel.querySelector('.desc-label');
@@ -510,8 +695,17 @@ function _showSavePageUI() {
   if (!overlay) return;
 
   const titleInput = document.getElementById('savePageTitleInput');
+  const duplicateEl = document.getElementById('savePageDuplicate');
+  if (duplicateEl) duplicateEl.hidden = true;
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     if (titleInput && tabs?.[0]) titleInput.value = tabs[0].title || tabs[0].url || '';
+    const saved = findSavedUrl(_cachedTree, tabs?.[0]?.url);
+    if (duplicateEl && saved) {
+      const where = saved.path.length ? saved.path.join(' › ') : t('savePageRoot');
+      duplicateEl.textContent = t('alreadySaved', where);
+      duplicateEl.title = saved.link.title || saved.link.url;
+      duplicateEl.hidden = false;
+    }
   });
 
   const folderList = document.getElementById('savePageFolderList');
@@ -535,7 +729,7 @@ function _showSavePageUI() {
     if (!nodes) return;
     for (let i = 0; i < nodes.length; i++) {
       const n = nodes[i];
-      if (!n || n.__isRoot) continue;
+      if (!n || n.__isRoot || isSmartFolder(n)) continue;
       const item = document.createElement('div');
       item.className = 'sp-folder-item';
       item.dataset.folderId = n.id;
@@ -613,7 +807,8 @@ function _showSavePageUI() {
     const folderId = sel?.dataset.folderId || null;
     const customTitle = document.getElementById('savePageTitleInput')?.value?.trim() || null;
     const linkId = sel?.dataset.linkId || null;
-    await _onSavePage?.(folderId, customTitle, linkId);
+    const snapshot = !!document.getElementById('savePageSnapshot')?.checked;
+    await _onSavePage?.(folderId, customTitle, linkId, { snapshot });
   }, { once: true });
 
   newCancel?.addEventListener('click', () => { overlay.style.display = 'none'; }, { once: true });
@@ -629,7 +824,10 @@ function _handleTreeClick(e) {
     case 'open-link':     _openLink(url, true); break;
     case 'open-current':  _openLink(url, false); break;
     case 'copy-url':      _copyUrl(url); break;
+    case 'open-snapshot': chrome.tabs.create({ url: chrome.runtime.getURL('snapshot.html') + '?id=' + encodeURIComponent(id) }); break;
     case 'open-all':      _openAll(id); break;
+    case 'save-session':  _saveFolderAsSession(id); break;
+    case 'toggle-pin':    _togglePin(id); break;
   }
 }
 
@@ -686,6 +884,16 @@ function _handleToggleAll() {
 
 function _openLink(url, newTab = true) {
   if (!url) return;
+  _recordVisits([url]).then(() => _navigate(url, newTab));
+}
+
+function _recordVisits(urls) {
+  return recordVisits(urls)
+    .then(usage => { _usage = usage; })
+    .catch(() => {});
+}
+
+function _navigate(url, newTab) {
   if (newTab) {
     try { chrome.tabs.create({ url }); } catch { window.open(url, '_blank'); }
   } else {
@@ -727,10 +935,15 @@ function _fbCopy(text) {
   ta.remove();
 }
 
+function _saveFolderAsSession(folderId) {
+  const node = findNode(_cachedTree, folderId);
+  if (node) _onSaveFolderAsSession?.(node);
+}
+
 function _openAll(folderId) {
   const node = findNode(_cachedTree, folderId);
   if (!node) return;
-  const links = node.links;
+  const links = isSmartFolder(node) ? smartFolderLinks(_cachedTree, node) : node.links;
   if (!links || !links.length) { showToast(t('noLinks')); return; }
   const valid = [];
   for (let i = 0; i < links.length; i++) {
@@ -738,7 +951,9 @@ function _openAll(folderId) {
   }
   if (!valid.length) { showToast(t('noLinks')); return; }
   if (valid.length > 6 && !confirm(`${t('openAll')}: ${valid.length}?`)) return;
-  for (let i = 0; i < valid.length; i++) _openLink(valid[i], true);
+  _recordVisits(valid).then(() => {
+    for (let i = 0; i < valid.length; i++) _navigate(valid[i], true);
+  });
 }
 
 function _updateNavItems() {
@@ -797,6 +1012,7 @@ function _renderDrillView() {
 
   _treeEl.innerHTML = '';
   _resetNav();
+  if (_pinnedBarEl) _pinnedBarEl.hidden = true;
 
   const bar = document.createElement('div');
   bar.className = 'drill-bar';
@@ -877,6 +1093,12 @@ function _handleKeydown(e) {
 
   if (e.altKey && e.key.toLowerCase() === 'q') { e.preventDefault(); focusSearch(); return; }
 
+  if (e.altKey && /^Digit[1-9]$/.test(e.code)) {
+    const chip = _pinnedBarEl?.hidden ? null : _pinnedBarEl?.children[Number(e.code.slice(5)) - 1];
+    if (chip) { e.preventDefault(); _activatePin(chip, e.shiftKey); }
+    return;
+  }
+
   if (e.key === 'Escape') {
     if (_drillStack.length > 0) { _exitDrill(); return; }
     if (inSearch && _searchEl) {
@@ -896,73 +1118,77 @@ function _wireDrag(el, type, id) {
   el.draggable = true;
 
   el.addEventListener('dragstart', (e) => {
+    if (el.closest('.smart-links')) { e.preventDefault(); return; }
     _dragData = { type, id };
     e.dataTransfer.effectAllowed = 'move';
     el.classList.add('dragging');
-    if (type === 'link') e.stopPropagation();
+    e.stopPropagation();
   });
 
   el.addEventListener('dragend', () => {
     el.classList.remove('dragging');
     _clearDropIndicators();
+    _dragData = null;
   });
 
   el.addEventListener('dragover', (e) => {
-    if (!_dragData) return;
-    e.preventDefault();
+    if (!_dragData || el.closest('.usage-section, .smart-links')) return;
     e.stopPropagation();
+    const position = _dropPosition(e, el, type);
+    if (!canMoveItem(_cachedTree, _dragData, { type, id }, position)) { _clearDropIndicators(); return; }
+    e.preventDefault();
     _clearDropIndicators();
+    if (position === 'inside') {
+      (type === 'folder' ? el.firstElementChild : el).classList.add('drop-inside');
+      return;
+    }
     const ind = document.createElement('div');
     ind.className = 'drop-indicator';
-    el.parentNode.insertBefore(ind, el);
+    el.parentNode.insertBefore(ind, position === 'after' ? el.nextSibling : el);
   });
 
   el.addEventListener('drop', (e) => {
     e.preventDefault();
     e.stopPropagation();
     _clearDropIndicators();
-    if (!_dragData || _dragData.id === id) return;
-    _handleDrop(_dragData, { type, id });
+    if (!_dragData || el.closest('.usage-section, .smart-links')) return;
+    _handleDrop(_dragData, { type, id }, _dropPosition(e, el, type));
     _dragData = null;
   });
 }
 
-function _clearDropIndicators() {
-  const indicators = _treeEl.querySelectorAll('.drop-indicator');
-  for (const ind of indicators) ind.remove();
+function _dropPosition(e, el, type) {
+  if (_dragData.type === 'link' && type === 'folder') return 'inside';
+  const head = type === 'folder' ? el.firstElementChild : el;
+  const r = head.getBoundingClientRect();
+  if (type === 'folder' && e.clientY > r.bottom) return 'inside';
+  const ratio = (e.clientY - r.top) / r.height;
+  if (type === 'link' && !_settings.nestedLinksEnabled) return ratio < 0.5 ? 'before' : 'after';
+  return ratio < 0.25 ? 'before' : ratio > 0.75 ? 'after' : 'inside';
 }
 
-function _handleDrop(src, target) {
-  const tree = getCachedTree();
-
-  if (src.type === 'folder' && target.type === 'folder') {
-    const s = findParentAndIndex(tree, src.id);
-    const t2 = findParentAndIndex(tree, target.id);
-    if (!s || !t2) return;
-    const item = s.parentArray.splice(s.index, 1)[0];
-    const ni = t2.parentArray.findIndex(n => n.id === target.id);
-    t2.parentArray.splice(ni < 0 ? 0 : ni, 0, item);
+function _handleRootDragOver(e) {
+  if (!_dragData || _query || _drillStack.length) return;
+  e.preventDefault();
+  _clearDropIndicators();
+}
 
-  } else if (src.type === 'link' && target.type === 'link') {
-    const s = findLinkParent(tree, src.id);
-    const t2 = findLinkParent(tree, target.id);
-    if (!s || !t2) return;
-    const item = s.parentNode.links.splice(s.index, 1)[0];
-    const ni = t2.parentNode.links.findIndex(l => l.id === target.id);
-    t2.parentNode.links.splice(ni < 0 ? 0 : ni, 0, item);
+function _handleRootDrop(e) {
+  if (!_dragData || _query || _drillStack.length) return;
+  e.preventDefault();
+  _clearDropIndicators();
+  _handleDrop(_dragData, { type: 'root' });
+  _dragData = null;
+}
 
-  } else if (src.type === 'link' && target.type === 'folder') {
-    const s = findLinkParent(tree, src.id);
-    const t2 = findParentAndIndex(tree, target.id);
-    if (!s || !t2) return;
-    const item = s.parentNode.links.splice(s.index, 1)[0];
-    const tgtNode = t2.parentArray[t2.index];
-    tgtNode.links = tgtNode.links || [];
-    tgtNode.links.push(item);
-  }
+function _clearDropIndicators() {
+  const indicators = _treeEl.querySelectorAll('.drop-indicator');
+  for (const ind of indicators) ind.remove();
+  for (const el of _treeEl.querySelectorAll('.drop-inside')) el.classList.remove('drop-inside');
+}
 
-  saveTree(tree).then(() => {
-    _cachedTree = tree;
-    _doRender();
-  });
+function _handleDrop(src, target, position) {
+  const tree = clone(getCachedTree());
+  if (!moveItem(tree, src, target, position)) return;
+  _saveTree(tree, _doRender);
 }
\ No newline at end of file
@@ -1,5 +1,17 @@
-import { uid, safeArray } from '../core/tree.js';
-import { DEFAULT_SETTINGS } from '../core/settings.js';
+import { uid, safeArray, normalizeTree, parseTags } from '../core/tree.js';
+import { DEFAULT_SETTINGS, mergeSettings } from '../core/settings.js';
+import { normalizeSessions } from '../core/sessions.js';
+import { normalizeUsage } from '../core/usage.js';
+import { DEFAULT_WORKSPACE_ID } from '../core/workspaces.js';
+import { materializeSmartFolders } from '../core/smart.js';
+import { STORAGE_KEY, SETTINGS_KEY, COLLAPSE_KEY, SAVEDTABS_KEY, USAGE_KEY } from '../storage/storage.js';
+import { FAVICON_CACHE_KEY } from './favicon.js';
+
+export const BACKUP_FORMAT  = 'lltm-backup';
+export const BACKUP_VERSION = 2;
+
+export const WORKSPACE_FORMAT  = 'lltm-workspace';
+export const WORKSPACE_VERSION = 1;
 
 export function hasExportableContent(tree) {
     if (!Array.isArray(tree) || tree.length === 0) return false;
@@ -21,6 +33,8 @@ export function buildTxtContent(tree) {
             lines.push(`${pad}  Title: ${link.title || ''}`);
             lines.push(`${pad}  URL:   ${link.url || ''}`);
             if (link.description) lines.push(`${pad}  Desc:  ${link.description}`);
+            if (safeArray(link.tags).length > 0) lines.push(`${pad}  Tags:  ${link.tags.join(', ')}`);
+            if (link.pinned) lines.push(`${pad}  Pinned: ${link.pinOrder ?? 0}`);
             lines.push(`${pad}  ---`);
             if (link.children && link.children.length > 0) {
                 walkLinks(link.children, pad + '  ');
@@ -32,12 +46,13 @@ export function buildTxtContent(tree) {
         const pad = '  '.repeat(depth);
         for (const node of nodes) {
             lines.push(`${pad}[Folder] ${node.title}`);
+            if (node.pinned) lines.push(`${pad}  Pinned: ${node.pinOrder ?? 0}`);
             walkLinks(safeArray(node.links), pad);
             if (safeArray(node.children).length > 0) walk(node.children, depth + 1);
             if (depth === 0) lines.push('');
         }
     }
-    walk(tree, 0);
+    walk(materializeSmartFolders(tree), 0);
     return lines.join('\n');
 }
 
@@ -60,6 +75,7 @@ export function exportTreeToTxt(tree, useUniqueName = true, onAlert) {
 }
 
 export function parseTxtToTree(text) {
+    if (isBookmarksHtml(text)) return parseBookmarksHtml(text);
     if (text.includes('[Folder]')) return parseNewFormat(text);
     if (text.includes('Папка:')) return parseLegacyFormat(text);
     return parseOldFormat(text);
@@ -106,6 +122,15 @@ function parseNewFormat(text) {
             currentLink.url = content.slice(4).trim();
         } else if (content.startsWith('Desc:') && currentLink) {
             currentLink.description = content.slice(5).trim();
+        } else if (content.startsWith('Tags:') && currentLink) {
+            const tags = parseTags(content.slice(5));
+            if (tags.length) currentLink.tags = tags;
+        } else if (content.startsWith('Pinned:')) {
+            const target = currentLink || folderStack[folderStack.length - 1].node;
+            if (!target) continue;
+            const order = Number(content.slice(7).trim());
+            target.pinned = true;
+            if (Number.isFinite(order)) target.pinOrder = order;
         }
     }
 
@@ -183,6 +208,196 @@ function parseOldFormat(text) {
     return root;
 }
 
+function _escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function _unescapeHtml(str) {
+    return String(str).replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|#39|nbsp);/gi, (m, code) => {
+        const c = code.toLowerCase();
+        if (c === 'amp')  return '&';
+        if (c === 'lt')   return '<';
+        if (c === 'gt')   return '>';
+        if (c === 'quot') return '"';
+        if (c === 'apos') return "'";
+        if (c === 'nbsp') return ' ';
+        const n = c.startsWith('#x') ? parseInt(c.slice(2), 16) : parseInt(c.slice(1), 10);
+        return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+    });
+}
+
+function _parseAttrs(str) {
+    const attrs = {};
+    const re = /([a-z_][a-z0-9_-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+    let m;
+    while ((m = re.exec(str))) attrs[m[1].toUpperCase()] = _unescapeHtml(m[2] ?? m[3] ?? m[4] ?? '');
+    return attrs;
+}
+
+export function isBookmarksHtml(text) {
+    return /<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(text) || (/<DL\b/i.test(text) && /<DT\b/i.test(text));
+}
+
+function _pinnedAttr(node) {
+    return node.pinned ? ` PINNED="${node.pinOrder ?? 0}"` : '';
+}
+
+function _applyPinnedAttr(node, attrs) {
+    if (attrs.PINNED === undefined) return;
+    const order = Number(attrs.PINNED);
+    node.pinned = true;
+    if (Number.isFinite(order)) node.pinOrder = order;
+}
+
+export function buildBookmarksHtml(tree) {
+    const lines = [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<!-- This is an automatically generated file.',
+        '     It will be read and overwritten.',
+        '     DO NOT EDIT! -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>'
+    ];
+
+    function walkLinks(links, pad) {
+        for (const link of safeArray(links)) {
+            if (!link) continue;
+            const added = link.added ? ` ADD_DATE="${Math.floor(link.added / 1000)}"` : '';
+            const tags  = safeArray(link.tags).length > 0 ? ` TAGS="${_escapeHtml(link.tags.join(','))}"` : '';
+            lines.push(`${pad}<DT><A HREF="${_escapeHtml(link.url || '')}"${added}${tags}${_pinnedAttr(link)}>${_escapeHtml(link.title || '')}</A>`);
+            if (link.description) lines.push(`${pad}<DD>${_escapeHtml(link.description)}`);
+            if (safeArray(link.children).length > 0) {
+                lines.push(`${pad}<DL><p>`);
+                walkLinks(link.children, pad + '    ');
+                lines.push(`${pad}</DL><p>`);
+            }
+        }
+    }
+
+    function walk(nodes, pad) {
+        for (const node of safeArray(nodes)) {
+            if (!node) continue;
+            if (node.__isRoot) { walkLinks(node.links, pad); continue; }
+            lines.push(`${pad}<DT><H3${_pinnedAttr(node)}>${_escapeHtml(node.title || '')}</H3>`);
+            lines.push(`${pad}<DL><p>`);
+            walkLinks(node.links, pad + '    ');
+            walk(node.children, pad + '    ');
+            lines.push(`${pad}</DL><p>`);
+        }
+    }
+    walk(materializeSmartFolders(tree), '    ');
+    lines.push('</DL><p>');
+    return lines.join('\n');
+}
+
+export function parseBookmarksHtml(html) {
+    const root = [];
+    let rootFolder = null;
+    const stack = [{ folder: null, link: null }];
+    let pending = null;
+    let capture = null;
+
+    function currentFolder() {
+        for (let i = stack.length - 1; i >= 0; i--) if (stack[i].folder) return stack[i].folder;
+        return null;
+    }
+
+    function addFolder(folder) {
+        const parent = currentFolder();
+        if (parent) parent.children.push(folder); else root.push(folder);
+    }
+
+    function addLink(link) {
+        const top = stack[stack.length - 1];
+        if (top.link) { (top.link.children = top.link.children || []).push(link); return; }
+        const parent = currentFolder();
+        if (parent) { parent.links.push(link); return; }
+        if (!rootFolder) {
+            rootFolder = { id: uid(), type: 'folder', title: '__ROOT__', __isRoot: true, children: [], links: [] };
+            root.unshift(rootFolder);
+        }
+        rootFolder.links.push(link);
+    }
+
+    function flushDescription() {
+        if (capture?.kind !== 'dd') return;
+        const desc = _unescapeHtml(capture.text).replace(/\s+/g, ' ').trim();
+        if (capture.target && desc) capture.target.description = desc;
+        capture = null;
+    }
+
+    const tagRe = /<(\/?)([a-z][a-z0-9]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+    let last = 0;
+    let m;
+    while ((m = tagRe.exec(html))) {
+        if (capture) capture.text += html.slice(last, m.index);
+        last = tagRe.lastIndex;
+        const closing = m[1] === '/';
+        const tag = m[2].toUpperCase();
+
+        if (tag === 'DT' || tag === 'DL') flushDescription();
+
+        if (tag === 'H3' && !closing) {
+            capture = { kind: 'h3', text: '', attrs: _parseAttrs(m[3]) };
+        } else if (tag === 'H3' && closing && capture?.kind === 'h3') {
+            const folder = { id: uid(), type: 'folder', title: _unescapeHtml(capture.text).trim(), children: [], links: [] };
+            _applyPinnedAttr(folder, capture.attrs);
+            addFolder(folder);
+            pending = { folder, link: null };
+            capture = null;
+        } else if (tag === 'A' && !closing) {
+            capture = { kind: 'a', text: '', attrs: _parseAttrs(m[3]) };
+        } else if (tag === 'A' && closing && capture?.kind === 'a') {
+            const attrs = capture.attrs;
+            const link = { id: uid(), title: _unescapeHtml(capture.text).trim(), url: (attrs.HREF || '').trim(), description: '' };
+            const added = Number(attrs.ADD_DATE);
+            if (Number.isFinite(added) && added > 0) link.added = added * 1000;
+            const tags = parseTags(attrs.TAGS);
+            if (tags.length) link.tags = tags;
+            _applyPinnedAttr(link, attrs);
+            addLink(link);
+            pending = { folder: null, link };
+            capture = null;
+        } else if (tag === 'DD' && !closing) {
+            capture = { kind: 'dd', text: '', target: pending?.link || null };
+        } else if (tag === 'BR' && capture?.kind === 'dd') {
+            capture.text += ' ';
+        } else if (tag === 'DL' && !closing) {
+            stack.push(pending || { folder: null, link: null });
+            pending = null;
+        } else if (tag === 'DL' && closing) {
+            if (stack.length > 1) stack.pop();
+            pending = null;
+        }
+    }
+    flushDescription();
+    return root;
+}
+
+export function exportTreeToHtml(tree, useUniqueName = true, onAlert) {
+    if (!hasExportableContent(tree)) {
+        const msg = 'Nothing to export: tree is empty or contains no links.';
+        if (onAlert) onAlert(msg); else alert(msg);
+        return;
+    }
+    const blob = new Blob([buildBookmarksHtml(tree)], { type: 'text/html;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const today = new Date().toISOString().slice(0, 10);
+    chrome.downloads.download({
+        url,
+        filename:       `LLTM-bookmarks-${today}.html`,
+        conflictAction: useUniqueName ? 'uniquify' : 'overwrite',
+        saveAs: false
+    });
+    setTimeout(() => URL.revokeObjectURL(url), 1500);
+}
+
 export function buildSettingsTxt(s) {
     return [
         '=== LLTM SETTINGS ===',
@@ -194,7 +409,13 @@ export function buildSettingsTxt(s) {
         `optionsScale: ${s.optionsScale ?? 115}`,
         `saveTabs: ${s.saveTabs}`,
         `language: ${s.language}`,
-        `layoutCorrection: ${s.layoutCorrection}`
+        `layoutCorrection: ${s.layoutCorrection}`,
+        `nestedLinksEnabled: ${s.nestedLinksEnabled}`,
+        `nestedLinksSearch: ${s.nestedLinksSearch}`,
+        `altQMode: ${s.altQMode}`,
+        `autoSnapshots: ${s.autoSnapshots}`,
+        `autoSnapshotInterval: ${s.autoSnapshotInterval}`,
+        `autoSnapshotKeep: ${s.autoSnapshotKeep}`
     ].join('\n');
 }
 
@@ -216,8 +437,14 @@ export function parseSettingsTxt(text) {
         if (key === 'saveTabs')        result.saveTabs        = val === 'true';
         if (key === 'language'        && (val==='en'||val==='ru')) result.language = val;
         if (key === 'layoutCorrection') result.layoutCorrection = val === 'true';
+        if (key === 'nestedLinksEnabled') result.nestedLinksEnabled = val === 'true';
+        if (key === 'nestedLinksSearch')  result.nestedLinksSearch  = val === 'true';
+        if (key === 'altQMode'        && (val==='popup'||val==='window')) result.altQMode = val;
+        if (key === 'autoSnapshots')   result.autoSnapshots   = val === 'true';
+        if (key === 'autoSnapshotInterval') result.autoSnapshotInterval = parseInt(val, 10);
+        if (key === 'autoSnapshotKeep')     result.autoSnapshotKeep     = parseInt(val, 10);
     }
-    return result;
+    return mergeSettings(result);
 }
 
 export function exportSettingsTxt(settings) {
@@ -233,15 +460,56 @@ export function buildTabSessionsTxt(sessions) {
     for (const s of sessions) {
         lines.push(`[Session] ${s.title}`);
         lines.push(`Date: ${s.date}`);
+        if (s.auto) lines.push(`Auto: ${s.auto}`);
+        safeArray(s.groups).forEach((g, i) => {
+            lines.push(`Group: ${i} | ${g.color} | ${g.collapsed ? 'collapsed' : 'expanded'} | ${g.title}`);
+        });
         for (const tab of s.tabs) {
             lines.push(`  Tab: ${tab.title}`);
             lines.push(`  URL: ${tab.url}`);
+            if (tab.pinned) lines.push('  Pinned: yes');
+            if (tab.group !== undefined) lines.push(`  TabGroup: ${tab.group}`);
+            if (tab.window) lines.push(`  Window: ${tab.window}`);
         }
         lines.push('');
     }
     return lines.join('\n');
 }
 
+export function parseTabSessionsTxt(text) {
+    const sessions = [];
+    let current = null;
+    const lastTab = () => current?.tabs[current.tabs.length - 1];
+    for (const line of String(text || '').split('\n')) {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('[Session]')) {
+            if (current && current.tabs.length > 0) sessions.push(current);
+            current = { id: uid(), title: trimmed.slice(9).trim(), date: '', groups: [], tabs: [] };
+        } else if (!current) {
+            continue;
+        } else if (trimmed.startsWith('Date:')) {
+            current.date = trimmed.slice(5).trim();
+        } else if (trimmed.startsWith('Auto:')) {
+            current.auto = trimmed.slice(5).trim();
+        } else if (trimmed.startsWith('Group:')) {
+            const [index, color, state, ...title] = trimmed.slice(6).split('|').map(part => part.trim());
+            current.groups[Number(index)] = { title: title.join(' | '), color, collapsed: state === 'collapsed' };
+        } else if (trimmed.startsWith('Tab:')) {
+            current.tabs.push({ id: uid(), title: trimmed.slice(4).trim(), url: '' });
+        } else if (trimmed.startsWith('URL:') && lastTab()) {
+            lastTab().url = trimmed.slice(4).trim();
+        } else if (trimmed.startsWith('Pinned:') && lastTab()) {
+            lastTab().pinned = trimmed.slice(7).trim() === 'yes';
+        } else if (trimmed.startsWith('TabGroup:') && lastTab()) {
+            lastTab().group = parseInt(trimmed.slice(9), 10);
+        } else if (trimmed.startsWith('Window:') && lastTab()) {
+            lastTab().window = parseInt(trimmed.slice(7), 10);
+        }
+    }
+    if (current && current.tabs.length > 0) sessions.push(current);
+    return normalizeSessions(sessions.map(s => ({ ...s, groups: Array.from(s.groups, g => g || {}) })));
+}
+
 export function exportTabSessionsTxt(sessions, onAlert) {
     if (!sessions || sessions.length === 0) {
         const msg = 'No sessions to export.';
@@ -305,7 +573,7 @@ export function importAllData(text) {
 
     if (sessionsMatch) {
         try {
-            const sessions = _parseSessionsSection(sessionsMatch[1]);
+            const sessions = parseTabSessionsTxt(sessionsMatch[1]);
             if (sessions && sessions.length > 0) result.sessions = sessions;
         } catch {}
     }
@@ -320,31 +588,129 @@ export function importAllData(text) {
     return result;
 }
 
-function _parseSessionsSection(text) {
-    const sessions = [];
-    let current = null;
-    for (const line of text.split('\n')) {
-        const trimmed = line.trim();
-        if (trimmed.startsWith('[Session]')) {
-            if (current && current.tabs.length > 0) sessions.push(current);
-            current = {
-                id: crypto.randomUUID?.() ?? ('s-' + Date.now() + Math.random()),
-                title: trimmed.slice(9).trim(),
-                date: '',
-                tabs: []
-            };
-        } else if (trimmed.startsWith('Date:') && current) {
-            current.date = trimmed.slice(5).trim();
-        } else if (trimmed.startsWith('Tab:') && current) {
-            current.tabs.push({
-                id: crypto.randomUUID?.() ?? ('t-' + Date.now() + Math.random()),
-                title: trimmed.slice(4).trim(),
-                url: ''
-            });
-        } else if (trimmed.startsWith('URL:') && current && current.tabs.length > 0) {
-            current.tabs[current.tabs.length - 1].url = trimmed.slice(4).trim();
-        }
+function _normalizeFavicons(obj) {
+    const result = {};
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return result;
+    for (const [k, v] of Object.entries(obj)) {
+        if (typeof v === 'string') result[k] = v;
     }
-    if (current && current.tabs.length > 0) sessions.push(current);
-    return sessions;
-}
\ No newline at end of file
+    return result;
+}
+
+const BACKUP_MIGRATIONS = {
+    0: (data) => ({
+        format:    BACKUP_FORMAT,
+        version:   1,
+        tree:      data[STORAGE_KEY],
+        settings:  data[SETTINGS_KEY],
+        sessions:  data[SAVEDTABS_KEY],
+        collapsed: data[COLLAPSE_KEY],
+        favicons:  data[FAVICON_CACHE_KEY],
+        usage:     data[USAGE_KEY]
+    }),
+    1: (data) => ({
+        format:          BACKUP_FORMAT,
+        version:         2,
+        settings:        data.settings,
+        favicons:        data.favicons,
+        usage:           data.usage,
+        activeWorkspace: DEFAULT_WORKSPACE_ID,
+        workspaces:      [{ id: DEFAULT_WORKSPACE_ID, title: '', tree: data.tree, sessions: data.sessions, collapsed: data.collapsed }]
+    })
+};
+
+function _normalizeWorkspaceEntry(ws) {
+    return {
+        title:     typeof ws?.title === 'string' ? ws.title.trim() : '',
+        tree:      normalizeTree(ws?.tree),
+        sessions:  normalizeSessions(ws?.sessions),
+        collapsed: safeArray(ws?.collapsed).filter(id => typeof id === 'string')
+    };
+}
+
+function _checkWorkspaceEntry(ws) {
+    if (!ws || typeof ws !== 'object') throw new Error('Backup workspace must be an object.');
+    if (ws.tree !== undefined && !Array.isArray(ws.tree)) throw new Error('Backup tree must be an array.');
+    if (ws.sessions !== undefined && !Array.isArray(ws.sessions)) throw new Error('Backup sessions must be an array.');
+}
+
+export function buildJsonBackup({ settings, favicons, usage, activeWorkspace, workspaces }) {
+    return JSON.stringify({
+        format:          BACKUP_FORMAT,
+        version:         BACKUP_VERSION,
+        exportedAt:      new Date().toISOString(),
+        settings:        mergeSettings(settings),
+        favicons:        _normalizeFavicons(favicons),
+        usage:           normalizeUsage(usage),
+        activeWorkspace: activeWorkspace || DEFAULT_WORKSPACE_ID,
+        workspaces:      safeArray(workspaces).map(ws => ({ id: ws.id, ..._normalizeWorkspaceEntry(ws) }))
+    }, null, 2);
+}
+
+export function parseJsonBackup(text) {
+    let data;
+    try { data = JSON.parse(text); } catch { throw new Error('File is not valid JSON.'); }
+    if (Array.isArray(data)) data = { [STORAGE_KEY]: data };
+    if (!data || typeof data !== 'object') throw new Error('Invalid backup file format.');
+
+    let version = data.format === BACKUP_FORMAT ? data.version : 0;
+    if (!Number.isInteger(version) || version < 0) throw new Error('Invalid backup version.');
+    if (version > BACKUP_VERSION) throw new Error(`Backup version ${version} is newer than supported (${BACKUP_VERSION}).`);
+    while (version < BACKUP_VERSION) {
+        data = BACKUP_MIGRATIONS[version](data);
+        version++;
+    }
+
+    if (!Array.isArray(data.workspaces) || !data.workspaces.length) throw new Error('Backup has no workspaces.');
+    data.workspaces.forEach(_checkWorkspaceEntry);
+
+    const seen = new Set();
+    const workspaces = data.workspaces.map(ws => {
+        const id = typeof ws.id === 'string' && ws.id && !seen.has(ws.id) ? ws.id : 'ws-' + uid();
+        seen.add(id);
+        return { id, ..._normalizeWorkspaceEntry(ws) };
+    });
+
+    return {
+        settings:        mergeSettings(data.settings),
+        favicons:        _normalizeFavicons(data.favicons),
+        usage:           normalizeUsage(data.usage),
+        activeWorkspace: seen.has(data.activeWorkspace) ? data.activeWorkspace : workspaces[0].id,
+        workspaces
+    };
+}
+
+export function exportJsonBackup(data) {
+    const blob = new Blob([buildJsonBackup(data)], { type: 'application/json;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const today = new Date().toISOString().slice(0, 10);
+    chrome.downloads.download({ url, filename: `LLTM-backup-${today}.json`, conflictAction: 'uniquify', saveAs: false });
+    setTimeout(() => URL.revokeObjectURL(url), 1500);
+}
+
+export function buildWorkspaceJson(workspace) {
+    return JSON.stringify({
+        format:     WORKSPACE_FORMAT,
+        version:    WORKSPACE_VERSION,
+        exportedAt: new Date().toISOString(),
+        ..._normalizeWorkspaceEntry(workspace)
+    }, null, 2);
+}
+
+export function parseWorkspaceJson(text) {
+    let data;
+    try { data = JSON.parse(text); } catch { throw new Error('File is not valid JSON.'); }
+    if (!data || data.format !== WORKSPACE_FORMAT) throw new Error('File is not an LLTM workspace export.');
+    if (!Number.isInteger(data.version) || data.version > WORKSPACE_VERSION) throw new Error(`Workspace version ${data.version} is not supported.`);
+    _checkWorkspaceEntry(data);
+    return _normalizeWorkspaceEntry(data);
+}
+
+export function exportWorkspaceJson(workspace) {
+    const blob = new Blob([buildWorkspaceJson(workspace)], { type: 'application/json;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const today = new Date().toISOString().slice(0, 10);
+    const name = (workspace.title || 'workspace').replace(/[\\/:*?"<>|\s]+/g, '_').slice(0, 40);
+    chrome.downloads.download({ url, filename: `LLTM-${name}-${today}.json`, conflictAction: 'uniquify', saveAs: false });
+    setTimeout(() => URL.revokeObjectURL(url), 1500);
+}
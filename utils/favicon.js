@@ -1,4 +1,4 @@
-const FAVICON_CACHE_KEY = 'faviconCache';
+export const FAVICON_CACHE_KEY = 'faviconCache';
 const memCache = new Map();
 let _showFavicons = true;
 let _persistTimer = null;
@@ -56,4 +56,18 @@ export function prewarmFavicons(tree) {
 export function clearFaviconCache() {
     memCache.clear();
     try { chrome.storage.local.remove(FAVICON_CACHE_KEY); } catch {}
+}
+
+export function getFaviconCacheSnapshot() {
+    return Object.fromEntries(memCache);
+}
+
+export function restoreFaviconCache(entries) {
+    memCache.clear();
+    if (entries && typeof entries === 'object') {
+        for (const [k, v] of Object.entries(entries)) {
+            if (typeof k === 'string' && typeof v === 'string') memCache.set(k, v);
+        }
+    }
+    try { chrome.storage.local.set({ [FAVICON_CACHE_KEY]: Object.fromEntries(memCache) }); } catch {}
 }
\ No newline at end of file
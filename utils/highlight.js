@@ -0,0 +1,15 @@
+export function highlightFragment(text, ranges) {
+    const frag = document.createDocumentFragment();
+    let pos = 0;
+    for (const [start, end] of ranges || []) {
+        if (start < pos || start >= text.length) continue;
+        if (start > pos) frag.appendChild(document.createTextNode(text.slice(pos, start)));
+        const mark = document.createElement('mark');
+        mark.className = 'hl';
+        mark.textContent = text.slice(start, end);
+        frag.appendChild(mark);
+        pos = Math.min(end, text.length);
+    }
+    if (pos < text.length) frag.appendChild(document.createTextNode(text.slice(pos)));
+    return frag;
+}
@@ -18,10 +18,143 @@ const MESSAGES = {
         savedSessions:         'Saved Sessions',
         restore:               'Restore',
         deleteSession:         'Delete session',
+        restoreNewWindow:      'Restore in a new window with pinned tabs and tab groups',
+        restoreHere:           'Here',
+        restoreHereHint:       'Restore into the current window',
+        tabGroup:              'Group',
+        saveAsSession:         'Save as session',
+        sessionNamePrompt:     'Session name:',
+        sessionRename:         'Rename session',
+        removeTab:             'Remove tab',
+        moveToTree:            'Move to tree',
+        moveToTreeHint:        'Turn this session into a folder in the link tree',
+        splitNone:             'One folder',
+        splitWindow:           'Subfolder per window',
+        splitGroup:            'Subfolder per tab group',
+        mergeWith:             'Merge with…',
+        mergeSessionsConfirm:  (src, dst) => `Merge "${src}" into "${dst}"?`,
+        sessionMovedToTree:    (name) => `Folder "${name}" added to the tree`,
+        windowN:               (n) => `Window ${n}`,
+        autoSnapshots:         'Automatic snapshots',
+        autoSnapshotsDesc:     'Save open windows on close and on a schedule',
+        autoSnapshotInterval:  'Snapshot interval',
+        autoSnapshotIntervalDesc: 'How often to snapshot all windows',
+        autoSnapshotKeep:      'Keep snapshots',
+        autoSnapshotKeepDesc:  'Older automatic sessions are removed',
+        minutes5:              '5 min',
+        minutes15:             '15 min',
+        minutes30:             '30 min',
+        minutes60:             '60 min',
+        autoClosed:            'Closed window',
+        autoScheduled:         'Auto snapshot',
+        autoStartup:           'Previous browser session',
+        autoBadge:             'auto',
+        autoBadgeHint:         'Saved automatically; rename to keep it',
+        saveTabsHint:          'Save tabs (Shift+click: all windows)',
         noSessions:            'No saved sessions',
         savePageTitle:         'Save current page',
         savePageTo:            'Save to folder:',
         savePageRoot:          'Root (no folder)',
+        alreadySaved:          (p) => `Already saved in ${p}`,
+        findDuplicates:        'Find duplicates',
+        duplicatesTitle:       'Duplicate Links',
+        noDuplicates:          'No duplicate links',
+        duplicatesFound:       (n) => `${n} URL(s) saved more than once`,
+        keepOne:               'Keep selected',
+        keepOneHint:           'Remove the other copies',
+        keepMerge:             'Keep & merge descriptions',
+        keepMergeHint:         'Remove the other copies, combining their descriptions and tags into the selected one',
+        checkLinks:            'Check links',
+        linkHealthTitle:       'Link Health',
+        checkScan:             'Scan',
+        checkStop:             'Stop',
+        checkProgress:         (done, total) => `Checked ${done} of ${total}`,
+        checkDone:             (n) => `Done: ${n} URL(s) checked`,
+        checkStopped:          (n) => `Stopped after ${n} URL(s)`,
+        healthNotChecked:      'No results yet — press Scan',
+        healthNothing:         'Nothing in this category',
+        healthProblems:        'Problems',
+        healthAll:             'All',
+        health_broken:         'Broken',
+        health_redirect:       'Redirects',
+        health_timeout:        'Timeouts',
+        health_error:          'Unreachable',
+        health_ok:             'OK',
+        healthTimeout:         'timeout',
+        healthError:           'error',
+        healthChecked:         (d) => `Checked ${d}`,
+        healthUpdateRedirect:  'Update to redirect',
+        healthUpdateRedirectHint: 'Replace the URL with the address it redirects to',
+        healthArchive:         'Move to Archive',
+        healthArchiveHint:     'Move selected links to the "Archive" folder',
+        healthDelete:          'Delete',
+        healthDeleteConfirm:   (n) => `Delete ${n} link(s)?`,
+        archiveFolder:         'Archive',
+        selectAll:             'Select all',
+        saveSnapshot:          'Save offline snapshot',
+        viewOfflineCopy:       'View offline copy',
+        offlineCopy:           'Offline copy',
+        snapshotSaved:         (d) => `Saved ${d}`,
+        snapshotMissing:       'This offline copy no longer exists',
+        snapshotSavedToast:    'Offline copy saved',
+        snapshotFailed:        'Could not capture this page',
+        snapshotsTitle:        'Offline Copies',
+        snapshotsUsage:        (n, size) => `${n} cop(ies), ${size}`,
+        storageUsage:          (used, quota) => `extension storage ${used} of ${quota}`,
+        noSnapshotsSaved:      'No offline copies',
+        snapshotOrphan:        'Link no longer in the tree',
+        deleteSnapshot:        'Delete offline copy',
+        deleteSnapshotConfirm: 'Delete this offline copy?',
+        cleanSnapshots:        'Remove orphaned',
+        cleanSnapshotsHint:    'Delete copies of links that are no longer in any workspace',
+        cleanSnapshotsConfirm: (n) => `Delete ${n} orphaned offline cop(ies)?`,
+        noOrphanSnapshots:     'Every offline copy belongs to a saved link',
+        sizeKB:                (n) => `${n} KB`,
+        sizeMB:                (n) => `${n} MB`,
+        addSmartFolder:        'Smart folder',
+        smartFolder:           'Smart folder',
+        smartFolderHint:       'Folder that shows links matching a saved search',
+        smartQueryPrompt:      'Search query for the smart folder (e.g. site:jira or #work)',
+        smartQueryPlaceholder: 'Query, e.g. site:jira #work',
+        smartNoQuery:          'Enter a query to fill this folder',
+        smartNoMatches:        'No links match this query',
+        deleteSmartFolder:     'Delete smart folder (links stay in the tree)',
+        pin:                   'Pin to the popup bar (Alt+1…9)',
+        unpin:                 'Unpin from the popup bar',
+        selectRowHint:         'Select (Shift-click selects a range, Ctrl-click a row toggles it)',
+        selectedCount:         (n) => `Selected: ${n}`,
+        bulkMoveTo:            'Move to…',
+        bulkMoveHint:          'Move the selected items into a folder',
+        bulkTag:               'Add tags',
+        bulkTagHint:           'Add tags to the selected links and to links inside selected folders',
+        bulkTagPrompt:         'Tags to add (comma-separated):',
+        bulkCopyUrls:          'Copy URLs',
+        urlsCopied:            (n) => `URLs copied: ${n}`,
+        bulkExport:            'Export',
+        bulkExportHint:        'Export the selected items to TXT',
+        bulkDelete:            'Delete',
+        bulkDeleteConfirm:     (n) => `Delete ${n} selected item(s)?`,
+        bulkClear:             'Clear selection',
+        copy:                  'Copy',
+        bulkCopyHint:          'Copy the selected items to the clipboard',
+        bulkCutHint:           'Cut the selected items; they stay in place until pasted',
+        clipboardCopy:         (n) => `Clipboard (copy): ${n}`,
+        clipboardCut:          (n) => `Clipboard (cut): ${n}`,
+        cancelCut:             'Cancel cut',
+        clearClipboard:        'Clear clipboard',
+        sortTree:              'Sort',
+        sortTreeTitle:         'Sort whole tree',
+        sortFolder:            'Sort folder',
+        sortByTitle:           'By title',
+        sortByDomain:          'By domain',
+        sortByAdded:           'By date added (newest first)',
+        sortByUsage:           'By usage (most opened first)',
+        sortRecursive:         'Include subfolders',
+        sortLinksFirst:        'Links first, then subfolders',
+        sortFoldersFirst:      'Subfolders first, then links',
+        sortAutoSort:          'Keep this folder sorted when links are added',
+        sortAutoOn:            (key) => `Auto-sort: ${key}`,
+        sortApply:             'Sort',
         savePageQuick:         'Quick save to root',
         savePageCancel:        'Cancel',
         savePageSave:          'Save',
@@ -29,6 +162,8 @@ const MESSAGES = {
         savePageTitlePh:       'Page title…',
         tabsSaved:             (n) => `Saved ${n} tabs`,
         tabsRestore:           (n) => `Restore ${n} tabs?`,
+        tabsRestoreSkipped:    (n) => `${n} tabs could not be opened and were skipped`,
+        tabsRestoreFailed:     'Could not restore the session',
         noSaveableTabs:        'No saveable tabs found.',
         tabsDisabled:          'Save Tabs feature is disabled. Enable it in Settings.',
         noTabUrl:              'No URL found for current tab.',
@@ -41,10 +176,37 @@ const MESSAGES = {
         save:                  'Save',
         cancel:                'Cancel',
         export:                'Export',
+        exportHtml:            'Export HTML',
         uniqueName:            'unique name',
         import:                'Import',
+        importMerge:           'merge on import',
+        importMergeDesc:       'Merge imported links into the current tree instead of replacing it',
+        mergePreview:          (f, l, d) => `New folders: ${f}\nNew links: ${l}\nDuplicates skipped: ${d}`,
+        mergeSessionsPreview:  (n, d) => `New sessions: ${n}\nDuplicate sessions skipped: ${d}`,
+        mergeApply:            'Apply these changes?',
+        mergeNothing:          'Nothing new to import: everything is already in the tree.',
         clean:                 'Clean',
         undo:                  'Undo',
+        redo:                  'Redo',
+        undoHint:              'Undo (Ctrl+Z)',
+        redoHint:              'Redo (Ctrl+Shift+Z)',
+        shortcutUndo:          'Undo edit',
+        shortcutRedo:          'Redo edit',
+        searchSyntax:          'Search Syntax',
+        syntaxSite:            'Links on a domain and its subdomains',
+        syntaxFolder:          'Links inside matching folders',
+        syntaxField:           'Search a single field',
+        syntaxTag:             'Links with a tag',
+        syntaxExclude:         'Exclude matches',
+        syntaxPhrase:          'Exact phrase',
+        syntaxOr:              'Either side matches',
+        history:               'History',
+        historyTitle:          'Snapshot History',
+        noSnapshots:           'No snapshots yet. A snapshot is taken every time the tree is saved.',
+        snapshotCounts:        (l, f) => `${l} links · ${f} folders`,
+        snapshotDiff:          (a, r, c) => `Restoring: +${a} −${r} ~${c} vs current`,
+        snapshotSame:          'Same as current tree',
+        snapshotRestoreConfirm:'Restore this snapshot? Current draft will be replaced.',
         searchPlaceholder:     'Search…',
         dataLocal:             'Data stored locally. Press Save to apply changes.',
         settingsTitle:         'Settings',
@@ -76,6 +238,11 @@ const MESSAGES = {
         importSettings:        'Import settings',
         exportAll:             'Export all',
         importAll:             'Import all',
+        backupJson:            'Backup (JSON)',
+        restoreJson:           'Restore (JSON)',
+        restoreBackupConfirm:  'Restore this backup? All workspaces, settings, sessions and the favicon cache will be replaced.',
+        backupRestored:        'Backup restored',
+        backupError:           'Backup restore error: ',
         savedTabsTitle:        'Saved Tab Sessions',
         exportTabsTxt:         'Export sessions to TXT',
         importSessions:        'Import sessions',
@@ -93,9 +260,8 @@ const MESSAGES = {
         shortcutSave:          'Save tree',
         unsaved:               'Unsaved changes',
         saved:                 'Saved',
+        saveFailed:            'Could not save: ',
         settingsImported:      'Settings imported',
-        noBackup:              'No backup found.',
-        restoreConfirm:        'Restore from backup? Current draft will be replaced.',
         discardConfirm:        'Discard unsaved changes?',
         deleteFolder:          'Delete folder and all its contents?',
         folderName:            'Folder name',
@@ -104,7 +270,46 @@ const MESSAGES = {
         titlePlaceholder:      'Title',
         urlPlaceholder:        'URL',
         descPlaceholder:       'Description…',
-        pasteHere:             'Paste here',
+        tagsPlaceholder:       'Tags…',
+        usageStats:            'Usage statistics',
+        usageStatsCount:       (n) => `${n} links tracked, used to rank search`,
+        clearUsage:            'Clear',
+        clearUsageConfirm:     'Clear all visit counts and recently opened links?',
+        usageCleared:          'Usage statistics cleared',
+        frequentlyUsed:        'Frequently used',
+        recentlyOpened:        'Recently opened',
+        omniboxDefault:        'Search LLTM links for',
+        omniboxNoResults:      'No LLTM links match, press Enter to open search for',
+        treeChangedElsewhere:  'Links were changed in another window while you have unsaved edits',
+        conflictMerge:         'Merge',
+        conflictReload:        'Reload',
+        conflictKeep:          'Keep mine',
+        workspaces:            'Workspaces',
+        workspaceDefault:      'Default',
+        workspaceLabel:        'Workspace',
+        workspaceNew:          'New',
+        workspaceImport:       'Import',
+        workspaceRename:       'Rename',
+        workspaceDuplicate:    'Duplicate',
+        workspaceExport:       'Export',
+        workspaceDelete:       'Delete workspace',
+        workspaceActive:       'active',
+        workspaceNamePrompt:   'Workspace name:',
+        workspaceCopyName:     (name) => `${name} (copy)`,
+        workspaceDeleteConfirm: (name) => `Delete workspace "${name}" with all its links and sessions?`,
+        workspaceLastOne:      'The last workspace cannot be deleted',
+        workspaceSwitched:     (name) => `Workspace: ${name}`,
+        workspaceImported:     (name) => `Workspace "${name}" imported`,
+        workspaceEditsSaved:   'Unsaved edits were saved to the previous workspace',
+        workspaceError:        'Workspace import error: ',
+        ctxSavePage:           'Save page to LLTM',
+        ctxSaveLink:           'Save link to LLTM',
+        ctxSaveSelection:      'Save selection as description',
+        ctxRecent:             'Recent folders',
+        tagCount:              (n) => `${n} links`,
+        pasteInside:           'Paste into this folder',
+        pasteAfter:            'Paste after this item',
+        pasteAsSubLink:        'Paste as sub-links',
         addSubfolder:          'Add subfolder',
         addLink:               'Add link',
         moveUp:                'Move up',
@@ -115,7 +320,7 @@ const MESSAGES = {
         treeEmpty:             'Tree is empty — add a root folder',
         noExport:              'Nothing to export: tree is empty or contains no links.',
         fileNoData:            'File contains no data or has invalid format.',
-        fileError:             'Error reading TXT file.',
+        fileError:             'Error reading import file.',
         settingsError:         'Settings import error: ',
         description:           'Description',
         nestedLinksFeature:    'Nested Links',
@@ -146,10 +351,143 @@ const MESSAGES = {
         savedSessions:         'Сохранённые сессии',
         restore:               'Восстановить',
         deleteSession:         'Удалить сессию',
+        restoreNewWindow:      'Восстановить в новом окне с закреплёнными вкладками и группами',
+        restoreHere:           'Сюда',
+        restoreHereHint:       'Восстановить в текущее окно',
+        tabGroup:              'Группа',
+        saveAsSession:         'Сохранить как сессию',
+        sessionNamePrompt:     'Название сессии:',
+        sessionRename:         'Переименовать сессию',
+        removeTab:             'Убрать вкладку',
+        moveToTree:            'В дерево',
+        moveToTreeHint:        'Превратить сессию в папку дерева ссылок',
+        splitNone:             'Одна папка',
+        splitWindow:           'Подпапки по окнам',
+        splitGroup:            'Подпапки по группам',
+        mergeWith:             'Объединить с…',
+        mergeSessionsConfirm:  (src, dst) => `Объединить «${src}» с «${dst}»?`,
+        sessionMovedToTree:    (name) => `Папка «${name}» добавлена в дерево`,
+        windowN:               (n) => `Окно ${n}`,
+        autoSnapshots:         'Автоснимки',
+        autoSnapshotsDesc:     'Сохранять открытые окна при закрытии и по расписанию',
+        autoSnapshotInterval:  'Интервал снимков',
+        autoSnapshotIntervalDesc: 'Как часто сохранять все окна',
+        autoSnapshotKeep:      'Хранить снимков',
+        autoSnapshotKeepDesc:  'Старые автоматические сессии удаляются',
+        minutes5:              '5 мин',
+        minutes15:             '15 мин',
+        minutes30:             '30 мин',
+        minutes60:             '60 мин',
+        autoClosed:            'Закрытое окно',
+        autoScheduled:         'Автоснимок',
+        autoStartup:           'Прошлая сессия браузера',
+        autoBadge:             'авто',
+        autoBadgeHint:         'Сохранено автоматически; переименуйте, чтобы оставить',
+        saveTabsHint:          'Сохранить вкладки (Shift+клик: все окна)',
         noSessions:            'Нет сохранённых сессий',
         savePageTitle:         'Сохранить страницу',
         savePageTo:            'Сохранить в папку:',
         savePageRoot:          'Корень (без папки)',
+        alreadySaved:          (p) => `Уже сохранено в ${p}`,
+        findDuplicates:        'Найти дубликаты',
+        duplicatesTitle:       'Дубликаты ссылок',
+        noDuplicates:          'Дубликатов нет',
+        duplicatesFound:       (n) => `Сохранено несколько раз: ${n} URL`,
+        keepOne:               'Оставить выбранную',
+        keepOneHint:           'Удалить остальные копии',
+        keepMerge:             'Оставить и объединить описания',
+        keepMergeHint:         'Удалить остальные копии, перенеся их описания и теги в выбранную',
+        checkLinks:            'Проверить ссылки',
+        linkHealthTitle:       'Состояние ссылок',
+        checkScan:             'Проверить',
+        checkStop:             'Остановить',
+        checkProgress:         (done, total) => `Проверено ${done} из ${total}`,
+        checkDone:             (n) => `Готово: проверено ${n} URL`,
+        checkStopped:          (n) => `Остановлено после ${n} URL`,
+        healthNotChecked:      'Результатов пока нет — нажмите «Проверить»',
+        healthNothing:         'В этой категории пусто',
+        healthProblems:        'Проблемы',
+        healthAll:             'Все',
+        health_broken:         'Битые',
+        health_redirect:       'Перенаправления',
+        health_timeout:        'Тайм-ауты',
+        health_error:          'Недоступны',
+        health_ok:             'В порядке',
+        healthTimeout:         'тайм-аут',
+        healthError:           'ошибка',
+        healthChecked:         (d) => `Проверено ${d}`,
+        healthUpdateRedirect:  'Заменить на новый адрес',
+        healthUpdateRedirectHint: 'Заменить URL адресом, на который он перенаправляет',
+        healthArchive:         'В архив',
+        healthArchiveHint:     'Переместить выбранные ссылки в папку «Архив»',
+        healthDelete:          'Удалить',
+        healthDeleteConfirm:   (n) => `Удалить ссылок: ${n}?`,
+        archiveFolder:         'Архив',
+        selectAll:             'Выбрать все',
+        saveSnapshot:          'Сохранить офлайн-копию',
+        viewOfflineCopy:       'Открыть офлайн-копию',
+        offlineCopy:           'Офлайн-копия',
+        snapshotSaved:         (d) => `Сохранено ${d}`,
+        snapshotMissing:       'Эта офлайн-копия больше не существует',
+        snapshotSavedToast:    'Офлайн-копия сохранена',
+        snapshotFailed:        'Не удалось сохранить страницу',
+        snapshotsTitle:        'Офлайн-копии',
+        snapshotsUsage:        (n, size) => `Копий: ${n}, ${size}`,
+        storageUsage:          (used, quota) => `хранилище расширения ${used} из ${quota}`,
+        noSnapshotsSaved:      'Офлайн-копий нет',
+        snapshotOrphan:        'Ссылки больше нет в дереве',
+        deleteSnapshot:        'Удалить офлайн-копию',
+        deleteSnapshotConfirm: 'Удалить эту офлайн-копию?',
+        cleanSnapshots:        'Удалить лишние',
+        cleanSnapshotsHint:    'Удалить копии ссылок, которых нет ни в одном пространстве',
+        cleanSnapshotsConfirm: (n) => `Удалить лишние офлайн-копии: ${n}?`,
+        noOrphanSnapshots:     'Все офлайн-копии относятся к сохранённым ссылкам',
+        sizeKB:                (n) => `${n} КБ`,
+        sizeMB:                (n) => `${n} МБ`,
+        addSmartFolder:        'Умная папка',
+        smartFolder:           'Умная папка',
+        smartFolderHint:       'Папка, показывающая ссылки по сохранённому запросу',
+        smartQueryPrompt:      'Поисковый запрос для умной папки (например, site:jira или #работа)',
+        smartQueryPlaceholder: 'Запрос, например site:jira #работа',
+        smartNoQuery:          'Введите запрос, чтобы заполнить папку',
+        smartNoMatches:        'Нет ссылок по этому запросу',
+        deleteSmartFolder:     'Удалить умную папку (ссылки останутся в дереве)',
+        pin:                   'Закрепить на панели попапа (Alt+1…9)',
+        unpin:                 'Открепить от панели попапа',
+        selectRowHint:         'Выбрать (Shift-клик — диапазон, Ctrl-клик по строке — переключить)',
+        selectedCount:         (n) => `Выбрано: ${n}`,
+        bulkMoveTo:            'Переместить в…',
+        bulkMoveHint:          'Переместить выбранное в папку',
+        bulkTag:               'Добавить теги',
+        bulkTagHint:           'Добавить теги выбранным ссылкам и ссылкам в выбранных папках',
+        bulkTagPrompt:         'Теги через запятую:',
+        bulkCopyUrls:          'Копировать URL',
+        urlsCopied:            (n) => `Скопировано адресов: ${n}`,
+        bulkExport:            'Экспорт',
+        bulkExportHint:        'Экспортировать выбранное в TXT',
+        bulkDelete:            'Удалить',
+        bulkDeleteConfirm:     (n) => `Удалить выбранные элементы: ${n}?`,
+        bulkClear:             'Снять выделение',
+        copy:                  'Копировать',
+        bulkCopyHint:          'Скопировать выбранное в буфер',
+        bulkCutHint:           'Вырезать выбранное; элементы остаются на месте до вставки',
+        clipboardCopy:         (n) => `Буфер (копия): ${n}`,
+        clipboardCut:          (n) => `Буфер (вырезано): ${n}`,
+        cancelCut:             'Отменить вырезание',
+        clearClipboard:        'Очистить буфер',
+        sortTree:              'Сортировка',
+        sortTreeTitle:         'Отсортировать всё дерево',
+        sortFolder:            'Отсортировать папку',
+        sortByTitle:           'По названию',
+        sortByDomain:          'По домену',
+        sortByAdded:           'По дате добавления (сначала новые)',
+        sortByUsage:           'По частоте открытий',
+        sortRecursive:         'Включая подпапки',
+        sortLinksFirst:        'Сначала ссылки, затем подпапки',
+        sortFoldersFirst:      'Сначала подпапки, затем ссылки',
+        sortAutoSort:          'Поддерживать сортировку при добавлении ссылок',
+        sortAutoOn:            (key) => `Автосортировка: ${key}`,
+        sortApply:             'Сортировать',
         savePageQuick:         'Быстро в корень',
         savePageCancel:        'Отмена',
         savePageSave:          'Сохранить',
@@ -157,6 +495,8 @@ const MESSAGES = {
         savePageTitlePh:       'Название страницы…',
         tabsSaved:             (n) => `Сохранено ${n} вкладок`,
         tabsRestore:           (n) => `Восстановить ${n} вкладок?`,
+        tabsRestoreSkipped:    (n) => `Не удалось открыть вкладок: ${n}`,
+        tabsRestoreFailed:     'Не удалось восстановить сессию',
         noSaveableTabs:        'Нет вкладок для сохранения.',
         tabsDisabled:          'Функция сохранения вкладок отключена. Включите в настройках.',
         noTabUrl:              'URL текущей вкладки не найден.',
@@ -169,10 +509,37 @@ const MESSAGES = {
         save:                  'Сохранить',
         cancel:                'Отмена',
         export:                'Экспорт',
+        exportHtml:            'Экспорт HTML',
         uniqueName:            'уник. имя',
         import:                'Импорт',
+        importMerge:           'объединять при импорте',
+        importMergeDesc:       'Добавлять импортированные ссылки в текущее дерево вместо замены',
+        mergePreview:          (f, l, d) => `Новых папок: ${f}\nНовых ссылок: ${l}\nПропущено дубликатов: ${d}`,
+        mergeSessionsPreview:  (n, d) => `Новых сессий: ${n}\nПропущено повторяющихся сессий: ${d}`,
+        mergeApply:            'Применить изменения?',
+        mergeNothing:          'Нечего импортировать: всё уже есть в дереве.',
         clean:                 'Очистить',
         undo:                  'Отменить',
+        redo:                  'Повторить',
+        undoHint:              'Отменить (Ctrl+Z)',
+        redoHint:              'Повторить (Ctrl+Shift+Z)',
+        shortcutUndo:          'Отменить правку',
+        shortcutRedo:          'Повторить правку',
+        searchSyntax:          'Синтаксис поиска',
+        syntaxSite:            'Ссылки на домене и его поддоменах',
+        syntaxFolder:          'Ссылки в подходящих папках',
+        syntaxField:           'Поиск только по одному полю',
+        syntaxTag:             'Ссылки с тегом',
+        syntaxExclude:         'Исключить совпадения',
+        syntaxPhrase:          'Точная фраза',
+        syntaxOr:              'Подходит любая из частей',
+        history:               'История',
+        historyTitle:          'История снимков',
+        noSnapshots:           'Снимков пока нет. Снимок создаётся при каждом сохранении дерева.',
+        snapshotCounts:        (l, f) => `ссылок: ${l} · папок: ${f}`,
+        snapshotDiff:          (a, r, c) => `При восстановлении: +${a} −${r} ~${c} к текущему`,
+        snapshotSame:          'Совпадает с текущим деревом',
+        snapshotRestoreConfirm:'Восстановить этот снимок? Текущий черновик будет заменён.',
         searchPlaceholder:     'Поиск…',
         dataLocal:             'Данные хранятся локально. Нажмите «Сохранить» для применения.',
         settingsTitle:         'Настройки',
@@ -204,6 +571,11 @@ const MESSAGES = {
         importSettings:        'Импорт настроек',
         exportAll:             'Экспорт всего',
         importAll:             'Импорт всего',
+        backupJson:            'Резервная копия (JSON)',
+        restoreJson:           'Восстановить (JSON)',
+        restoreBackupConfirm:  'Восстановить эту резервную копию? Все пространства, настройки, сессии и кэш фавиконов будут заменены.',
+        backupRestored:        'Резервная копия восстановлена',
+        backupError:           'Ошибка восстановления: ',
         savedTabsTitle:        'Сохранённые сессии вкладок',
         exportTabsTxt:         'Экспорт сессий в TXT',
         importSessions:        'Импорт сессий',
@@ -221,9 +593,8 @@ const MESSAGES = {
         shortcutSave:          'Сохранить дерево',
         unsaved:               'Есть несохранённые изменения',
         saved:                 'Сохранено',
+        saveFailed:            'Не удалось сохранить: ',
         settingsImported:      'Настройки импортированы',
-        noBackup:              'Резервная копия не найдена.',
-        restoreConfirm:        'Восстановить из резервной копии? Текущий черновик будет заменён.',
         discardConfirm:        'Отменить несохранённые изменения?',
         deleteFolder:          'Удалить папку и всё её содержимое?',
         folderName:            'Название папки',
@@ -232,7 +603,46 @@ const MESSAGES = {
         titlePlaceholder:      'Название',
         urlPlaceholder:        'URL',
         descPlaceholder:       'Описание…',
-        pasteHere:             'Вставить сюда',
+        tagsPlaceholder:       'Теги…',
+        usageStats:            'Статистика открытий',
+        usageStatsCount:       (n) => `Отслеживается ссылок: ${n}, учитывается в поиске`,
+        clearUsage:            'Очистить',
+        clearUsageConfirm:     'Удалить счётчики открытий и недавние ссылки?',
+        usageCleared:          'Статистика открытий очищена',
+        frequentlyUsed:        'Часто используемые',
+        recentlyOpened:        'Недавно открытые',
+        omniboxDefault:        'Искать в ссылках LLTM:',
+        omniboxNoResults:      'Ссылки LLTM не найдены, Enter откроет поиск по запросу',
+        treeChangedElsewhere:  'Ссылки изменены в другом окне, а у вас есть несохранённые правки',
+        conflictMerge:         'Объединить',
+        conflictReload:        'Перезагрузить',
+        conflictKeep:          'Оставить мои',
+        workspaces:            'Пространства',
+        workspaceDefault:      'Основное',
+        workspaceLabel:        'Пространство',
+        workspaceNew:          'Создать',
+        workspaceImport:       'Импорт',
+        workspaceRename:       'Переименовать',
+        workspaceDuplicate:    'Дублировать',
+        workspaceExport:       'Экспорт',
+        workspaceDelete:       'Удалить пространство',
+        workspaceActive:       'активно',
+        workspaceNamePrompt:   'Название пространства:',
+        workspaceCopyName:     (name) => `${name} (копия)`,
+        workspaceDeleteConfirm: (name) => `Удалить пространство «${name}» со всеми ссылками и сессиями?`,
+        workspaceLastOne:      'Нельзя удалить последнее пространство',
+        workspaceSwitched:     (name) => `Пространство: ${name}`,
+        workspaceImported:     (name) => `Пространство «${name}» импортировано`,
+        workspaceEditsSaved:   'Несохранённые правки сохранены в предыдущее пространство',
+        workspaceError:        'Ошибка импорта пространства: ',
+        ctxSavePage:           'Сохранить страницу в LLTM',
+        ctxSaveLink:           'Сохранить ссылку в LLTM',
+        ctxSaveSelection:      'Сохранить выделение как описание',
+        ctxRecent:             'Недавние папки',
+        tagCount:              (n) => `Ссылок: ${n}`,
+        pasteInside:           'Вставить в эту папку',
+        pasteAfter:            'Вставить после этого элемента',
+        pasteAsSubLink:        'Вставить как подссылки',
         addSubfolder:          'Добавить подпапку',
         addLink:               'Добавить ссылку',
         moveUp:                'Вверх',
@@ -243,7 +653,7 @@ const MESSAGES = {
         treeEmpty:             'Дерево пустое — добавьте корневую папку',
         noExport:              'Нечего экспортировать: дерево пустое или не содержит ссылок.',
         fileNoData:            'Файл не содержит данных или имеет неверный формат.',
-        fileError:             'Ошибка при чтении файла TXT.',
+        fileError:             'Ошибка при чтении файла импорта.',
         settingsError:         'Ошибка импорта настроек: ',
         description:           'Описание',
         nestedLinksFeature:    'Вложенные ссылки',
@@ -0,0 +1,56 @@
+export const CHECK_TIMEOUT_MS  = 10000;
+export const CHECK_CONCURRENCY = 6;
+
+const RETRY_WITH_GET = [403, 405, 501];
+
+export function isCheckableUrl(url) {
+    return /^https?:\/\//i.test(url || '');
+}
+
+function _request(fetchFn, url, method, signal) {
+    return fetchFn(url, { method, redirect: 'follow', credentials: 'omit', cache: 'no-store', signal });
+}
+
+export async function checkUrl(url, { fetch: fetchFn = globalThis.fetch, timeout = CHECK_TIMEOUT_MS, signal } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+    try {
+        let res = await _request(fetchFn, url, 'HEAD', controller.signal);
+        if (RETRY_WITH_GET.includes(res.status)) {
+            res = await _request(fetchFn, url, 'GET', controller.signal);
+            res.body?.cancel?.().catch(() => {});
+        }
+        const result = { status: res.status, checked: Date.now() };
+        if (res.redirected && res.url && res.url !== new URL(url).href) result.redirect = res.url;
+        return result;
+    } catch {
+        if (signal?.aborted) return null;
+        return { error: controller.signal.aborted ? 'timeout' : 'network', checked: Date.now() };
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+export async function checkLinks(urls, { concurrency = CHECK_CONCURRENCY, onProgress, signal, ...options } = {}) {
+    const queue   = [...new Set(urls)].filter(isCheckableUrl);
+    const total   = queue.length;
+    const results = {};
+    let done = 0;
+
+    async function worker() {
+        while (queue.length && !signal?.aborted) {
+            const url = queue.shift();
+            const result = await checkUrl(url, { ...options, signal });
+            if (!result) return;
+            results[url] = result;
+            onProgress?.(++done, total, url, result);
+        }
+    }
+
+    onProgress?.(0, total);
+    await Promise.all(Array.from({ length: Math.min(concurrency, total) }, worker));
+    return results;
+}
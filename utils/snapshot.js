@@ -0,0 +1,86 @@
+import { isCheckableUrl } from './linkcheck.js';
+
+const LOAD_TIMEOUT_MS  = 30000;
+const MAX_IMAGE_BYTES  = 2 * 1024 * 1024;
+
+async function _serializePage(maxImageBytes) {
+    const toDataUrl = (blob) => new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload  = () => resolve(reader.result);
+        reader.onerror = () => resolve(null);
+        reader.readAsDataURL(blob);
+    });
+
+    const doc = document.documentElement.cloneNode(true);
+    const liveImages = [...document.images];
+    const images = [...doc.querySelectorAll('img')];
+
+    await Promise.all(images.map(async (img, i) => {
+        const src = liveImages[i]?.currentSrc || liveImages[i]?.src;
+        img.removeAttribute('srcset');
+        img.removeAttribute('loading');
+        if (!src) return;
+        img.setAttribute('src', src);
+        if (src.startsWith('data:')) return;
+        try {
+            const res = await fetch(src, { credentials: 'include' });
+            const blob = await res.blob();
+            if (res.ok && blob.size <= maxImageBytes) img.setAttribute('src', await toDataUrl(blob) || src);
+        } catch {}
+    }));
+
+    const imports = [];
+    const css = [];
+    for (const sheet of document.styleSheets) {
+        try { css.push([...sheet.cssRules].map(rule => rule.cssText).join('\n')); }
+        catch { if (sheet.href) imports.push(`@import url("${sheet.href}");`); }
+    }
+    doc.querySelectorAll('script, noscript, link[rel~="stylesheet"], style, iframe, link[rel="preload"], link[rel="modulepreload"]').forEach(el => el.remove());
+    doc.querySelectorAll('*').forEach(el => {
+        for (const attr of [...el.attributes]) if (/^on/i.test(attr.name)) el.removeAttribute(attr.name);
+    });
+
+    const head = doc.querySelector('head') || doc.insertBefore(document.createElement('head'), doc.firstChild);
+    const base = document.createElement('base');
+    base.href = document.baseURI;
+    base.target = '_blank';
+    head.prepend(base);
+    const style = document.createElement('style');
+    style.textContent = [...imports, ...css].join('\n');
+    head.appendChild(style);
+
+    return { html: '<!DOCTYPE html>\n' + doc.outerHTML, title: document.title, url: location.href };
+}
+
+export async function captureTab(tabId) {
+    const [injection] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func:   _serializePage,
+        args:   [MAX_IMAGE_BYTES]
+    });
+    if (!injection?.result?.html) throw new Error('Snapshot capture returned nothing');
+    return injection.result;
+}
+
+function _waitForLoad(tabId) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => { cleanup(); reject(new Error('Page load timed out')); }, LOAD_TIMEOUT_MS);
+        const listener = (id, change) => {
+            if (id === tabId && change.status === 'complete') { cleanup(); resolve(); }
+        };
+        const cleanup = () => { clearTimeout(timer); chrome.tabs.onUpdated.removeListener(listener); };
+        chrome.tabs.onUpdated.addListener(listener);
+        chrome.tabs.get(tabId).then(tab => { if (tab.status === 'complete') listener(tabId, tab); }, () => {});
+    });
+}
+
+export async function captureUrl(url) {
+    if (!isCheckableUrl(url)) throw new Error('Only http(s) pages can be captured');
+    const tab = await chrome.tabs.create({ url, active: false });
+    try {
+        await _waitForLoad(tab.id);
+        return await captureTab(tab.id);
+    } finally {
+        chrome.tabs.remove(tab.id).catch(() => {});
+    }
+}
@@ -0,0 +1,143 @@
+import { uid, safeArray } from '../core/tree.js';
+
+const TAB_GROUP_ID_NONE = -1;
+
+export function isSaveableUrl(url) {
+    return !!url && !url.startsWith('chrome://') && !url.startsWith('about:');
+}
+
+async function _loadGroups(tabs) {
+    const groups = new Map();
+    if (!chrome.tabGroups) return groups;
+    for (const tab of tabs) {
+        const id = tab.groupId;
+        if (id === undefined || id === TAB_GROUP_ID_NONE || groups.has(id)) continue;
+        try { groups.set(id, await chrome.tabGroups.get(id)); } catch {}
+    }
+    return groups;
+}
+
+function _buildCapture(valid, chromeGroups) {
+    const windowIds  = [];
+    const groups     = [];
+    const groupIndex = new Map();
+    const tabs = valid.map(tab => {
+        if (!windowIds.includes(tab.windowId)) windowIds.push(tab.windowId);
+        const item = { id: uid(), title: tab.title || tab.url, url: tab.url };
+        if (tab.pinned) item.pinned = true;
+        const group = chromeGroups.get(tab.groupId);
+        if (group && !tab.pinned) {
+            if (!groupIndex.has(group.id)) {
+                groupIndex.set(group.id, groups.length);
+                groups.push({ title: group.title || '', color: group.color, collapsed: !!group.collapsed });
+            }
+            item.group = groupIndex.get(group.id);
+        }
+        const windowIndex = windowIds.indexOf(tab.windowId);
+        if (windowIndex > 0) item.window = windowIndex;
+        return item;
+    });
+    return { tabs, groups };
+}
+
+export async function captureTabs({ allWindows = false } = {}) {
+    const all   = await chrome.tabs.query(allWindows ? { windowType: 'normal' } : { currentWindow: true });
+    const valid = all.filter(tab => isSaveableUrl(tab.url));
+    return _buildCapture(valid, await _loadGroups(valid));
+}
+
+export async function captureWindows() {
+    const all   = await chrome.tabs.query({ windowType: 'normal' });
+    const valid = all.filter(tab => isSaveableUrl(tab.url));
+    const chromeGroups = await _loadGroups(valid);
+    const byWindow = {};
+    for (const tab of all) byWindow[tab.windowId] ||= [];
+    for (const tab of valid) byWindow[tab.windowId].push(tab);
+    const result = {};
+    for (const [windowId, tabs] of Object.entries(byWindow)) result[windowId] = _buildCapture(tabs, chromeGroups);
+    return result;
+}
+
+// Returns the number of tabs Chrome refused to open; those are skipped so
+// the rest of the session still restores exactly once.
+async function _restoreWindow(tabs, groups, intoCurrent) {
+    const ordered = [...tabs.filter(tab => tab.pinned), ...tabs.filter(tab => !tab.pinned)];
+    const created = [];
+    let skipped = 0;
+    let windowId;
+    let placeholderId;
+    let rest = ordered;
+
+    if (intoCurrent) {
+        windowId = (await chrome.windows.getCurrent()).id;
+    } else {
+        let win;
+        try {
+            win = await chrome.windows.create({ url: ordered[0].url, focused: true });
+        } catch (err) {
+            console.warn('[tabs] tab restore failed:', ordered[0].url, err);
+            win = await chrome.windows.create({ focused: true });
+            placeholderId = win.tabs?.[0]?.id;
+            skipped++;
+        }
+        windowId = win.id;
+        const first = win.tabs?.[0];
+        if (first && !skipped) {
+            if (ordered[0].pinned) await chrome.tabs.update(first.id, { pinned: true });
+            created.push([ordered[0], first.id]);
+        }
+        rest = ordered.slice(1);
+    }
+
+    for (const tab of rest) {
+        try {
+            const chromeTab = await chrome.tabs.create({ windowId, url: tab.url, pinned: !!tab.pinned, active: false });
+            created.push([tab, chromeTab.id]);
+        } catch (err) {
+            console.warn('[tabs] tab restore failed:', tab.url, err);
+            skipped++;
+        }
+    }
+
+    // The window had to be opened on a blank tab; drop it, or the whole
+    // window if nothing else could be opened in it.
+    if (placeholderId !== undefined) {
+        try {
+            if (created.length) await chrome.tabs.remove(placeholderId);
+            else await chrome.windows.remove(windowId);
+        } catch (err) { console.warn('[tabs] placeholder cleanup failed:', err); }
+    }
+
+    if (!chrome.tabGroups || !chrome.tabs.group) return skipped;
+    const grouped = new Map();
+    for (const [tab, tabId] of created) {
+        if (tab.group === undefined || !groups[tab.group]) continue;
+        if (!grouped.has(tab.group)) grouped.set(tab.group, []);
+        grouped.get(tab.group).push(tabId);
+    }
+    for (const [index, tabIds] of grouped) {
+        const { title, color, collapsed } = groups[index];
+        try {
+            const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+            await chrome.tabGroups.update(groupId, { title, color, collapsed });
+        } catch (err) { console.warn('[tabs] group restore failed:', err); }
+    }
+    return skipped;
+}
+
+export async function restoreSession(session, { intoCurrent = false } = {}) {
+    const tabs = safeArray(session?.tabs).filter(tab => tab?.url);
+    if (!tabs.length) return 0;
+    const byWindow = new Map();
+    for (const tab of tabs) {
+        const key = intoCurrent ? 0 : tab.window || 0;
+        if (!byWindow.has(key)) byWindow.set(key, []);
+        byWindow.get(key).push(tab);
+    }
+    const groups = safeArray(session.groups);
+    let skipped = 0;
+    for (const key of [...byWindow.keys()].sort((a, b) => a - b)) {
+        skipped += await _restoreWindow(byWindow.get(key), groups, intoCurrent);
+    }
+    return skipped;
+}
@@ -0,0 +1,16 @@
+const TRACKING_PARAMS = /^(utm_.+|fbclid|gclid|yclid|dclid|msclkid|mc_cid|mc_eid|_openstat)$/i;
+
+export function normalizeUrl(url) {
+    if (typeof url !== 'string') return '';
+    const raw = url.trim();
+    if (!raw) return '';
+    let u;
+    try { u = new URL(raw); } catch { return raw.toLowerCase().replace(/\/+$/, ''); }
+    for (const key of [...u.searchParams.keys()]) {
+        if (TRACKING_PARAMS.test(key)) u.searchParams.delete(key);
+    }
+    const host = u.host.replace(/^www\./, '');
+    const path = u.pathname.replace(/\/+$/, '');
+    const hash = /^#!?\//.test(u.hash) ? u.hash : '';
+    return `${u.protocol}//${host}${path}${u.search}${hash}`;
+}